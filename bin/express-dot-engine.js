@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const engine = require('../');
+
+const usage = 'Usage: express-dot-engine compile <views> [options]\n' +
+  '       express-dot-engine export <views> <template...> [options]\n' +
+  '\n' +
+  'compile  Precompiles the templates of a views directory into a javascript module\n' +
+  'export   Exports templates, with their layouts and partials, for the browser\n' +
+  '\n' +
+  'Options:\n' +
+  '  -o, --output <path>  The output file, or directory (templates.js), defaults to stdout\n' +
+  '  -f, --format <name>  export: esm (default) or umd\n' +
+  '  -n, --name <name>    export: the global name of the umd bundle, defaults to dotTemplates\n' +
+  '  -e, --ext <ext>      The template extension, can be repeated, defaults to .dot\n' +
+  '  -r, --require <path> Requires a module first (e.g. registering the helpers), can be repeated\n' +
+  '  --no-sync            Do not precompile for render\n' +
+  '  --no-async           Do not precompile for renderAsync\n' +
+  '  -h, --help           Shows this help\n';
+
+/**
+* Parses the command line arguments
+* @param {Array} args The arguments
+* @return {Object} The command and its options
+*/
+function parseArgs(args) {
+  const result = {
+    command: null,
+    views: null,
+    templates: [],
+    output: null,
+    format: 'esm',
+    name: undefined,
+    extensions: [],
+    requires: [],
+    sync: true,
+    async: true,
+    help: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '-o':
+      case '--output':
+        result.output = args[++i];
+        break;
+      case '-f':
+      case '--format':
+        result.format = args[++i];
+        break;
+      case '-n':
+      case '--name':
+        result.name = args[++i];
+        break;
+      case '-e':
+      case '--ext':
+        result.extensions.push(args[++i]);
+        break;
+      case '-r':
+      case '--require':
+        result.requires.push(args[++i]);
+        break;
+      case '--no-sync':
+        result.sync = false;
+        break;
+      case '--no-async':
+        result.async = false;
+        break;
+      case '-h':
+      case '--help':
+        result.help = true;
+        break;
+      default:
+        if (!result.command) {
+          result.command = args[i];
+        } else if (!result.views) {
+          result.views = args[i];
+        } else if (result.command === 'export') {
+          result.templates.push(args[i]);
+        } else {
+          throw new Error(`Unknown argument ${args[i]}`);
+        }
+    }
+  }
+
+  return result;
+}
+
+/**
+* Writes the precompiled module
+* @param {String} code The javascript module
+* @param {String} output The output file or directory
+*/
+function write(code, output) {
+  const filename = path.extname(output) === '.js' ?
+    output :
+    path.join(output, 'templates.js');
+
+  fs.mkdirSync(path.dirname(filename), { recursive: true, });
+  fs.writeFileSync(filename, code);
+  console.error(`Templates written to ${filename}`);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  }
+  catch (err) {
+    console.error(err.message + '\n\n' + usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const commands = ['compile', 'export'];
+
+  if (args.help || commands.indexOf(args.command) === -1 || !args.views ||
+    (args.command === 'export' && !args.templates.length)) {
+    (args.help ? console.log : console.error)(usage);
+    process.exitCode = args.help ? 0 : 1;
+    return;
+  }
+
+  // the compile-time helpers ([[# def.helper ]]) are registered by the required modules
+  args.requires.forEach((module) => require(path.resolve(module)));
+
+  const result = args.command === 'export' ?
+    engine.exportClient(args.templates, {
+      root: args.views,
+      format: args.format,
+      name: args.name
+    }) :
+    engine.precompile(args.views, {
+      extensions: args.extensions.length ? args.extensions : undefined,
+      sync: args.sync,
+      async: args.async
+    });
+
+  result
+    .then((code) => {
+      if (args.output) {
+        write(code, args.output);
+      } else {
+        process.stdout.write(code);
+      }
+    })
+    .catch((err) => {
+      console.error(err.message);
+      process.exitCode = 1;
+    });
+}
+
+main();
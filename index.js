@@ -6,705 +6,2098 @@
  */
 
 const _ = require('lodash');
+const crypto = require('crypto');
 const fs = require('fs');
 const fsPromises = require('fs').promises;
 const dot = require('@eligo-public/dot');
 const path = require('path');
+const { Readable } = require('stream');
 const yaml = require('js-yaml');
+const { createCache, createLRUCache } = require('./lib/cache');
+const { TemplateError, SandboxError, AbortError, TimeoutError } = require('./lib/errors');
+const { createErrorOverlay } = require('./lib/overlay');
+const positions = require('./lib/positions');
+const precompiler = require('./lib/precompile');
+const client = require('./lib/client');
+const resolver = require('./lib/resolver');
+const blocks = require('./lib/blocks');
+const stacks = require('./lib/stacks');
+const components = require('./lib/components');
+const filters = require('./lib/filters');
+const i18n = require('./lib/i18n');
+const format = require('./lib/format');
+const email = require('./lib/email');
+const { minify } = require('./lib/minify');
+const { createSandbox } = require('./lib/sandbox');
+const escape = require('./lib/escape');
+const csp = require('./lib/csp');
+const createWatcher = require('./lib/watcher');
 
 /**
-* Engine settings
+* Section of a layout computed from the model (see processTemplateString)
 */
-const settings = {
-  config: /^---([\s\S]+?)---/g,
-  comment: /<!--([\s\S]+?)-->/g,
-  partialAsync: /(?<!await\s+)\bpartial\s*\([^)]*\)/g,
-  header: '',
-
-  stripComment: false,
-  stripWhitespace: false, // shortcut to dot.strip
-
-  dot: {
-    evaluate: /\[\[([\s\S]+?)]]/g,
-    interpolate: /\[\[=([\s\S]+?)]]/g,
-    encode: /\[\[!([\s\S]+?)]]/g,
-    use: /\[\[#([\s\S]+?)]]/g,
-    define: /\[\[##\s*([\w\.$]+)\s*(:|=)([\s\S]+?)#]]/g,
-    conditional: /\[\[\?(\?)?\s*([\s\S]*?)\s*]]/g,
-    iterate: /\[\[~\s*(?:]]|([\s\S]+?)\s*:\s*([\w$]+)\s*(?::\s*([\w$]+))?\s*]])/g,
-    varname: 'layout, partial, locals, model',
-    strip: false,
-    append: true,
-    selfcontained: false
-  }
-};
+const LAYOUT_SECTION = 'config layout';
 
 /**
-* Cache store
+* Section of an email subject computed from the model (see processTemplateString)
 */
-const cache = {
-  cache: {},
+const SUBJECT_SECTION = 'config subject';
 
-  get: function (key) {
-    return this.cache[key];
-  },
-  set: function (key, value) {
-    this.cache[key] = value;
-  },
-  clear: function () {
-    this.cache = {};
-  }
-};
+/**
+* Parameters of the template functions passed by the render, before the view data and the shortcuts (see Template):
+* escaping, csp nonce, asset stacks, components, i18n and formatting helpers
+*/
+const RENDER_PARAMETERS = [escape.HELPERS, 'nonce', 'push', 'once', 'stack', components.SLOT, components.COMPONENT,
+  't', 'locale', format.HELPERS];
 
 /**
-* Async cache store
+* Parameters of the template functions passed after the runtime helpers, the escaping ones with autoEscape only
 */
-const asyncCache = {
-  cache: {},
+const FILTER_PARAMETERS = [filters.FILTERS];
+const ESCAPE_PARAMETERS = ['raw', escape.ESCAPE];
+const POSITION_PARAMETERS = [positions.TRACKER];
 
-  get: function (key) {
-    return this.cache[key];
-  },
-  set: function (key, value) {
-    this.cache[key] = value;
-  },
-  clear: function () {
-    this.cache = {};
-  }
-};
+/**
+* Names a helper cannot take: the reserved words of JavaScript (they are not valid
+* parameter names) and the output accumulator of doT
+*/
+const RESERVED_WORDS = ['break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in', 'instanceof', 'new',
+  'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+  'let', 'static', 'implements', 'interface', 'package', 'private', 'protected', 'public', 'await', 'arguments', 'eval',
+  'undefined', 'NaN', 'Infinity', 'out'];
 
 /**
-* Server-side helper
+* Maximum number of entries of the lookup memos, their keys come from the request data (locale, theme)
 */
-function DotDef(options) {
-  this.options = options;
-  this.dirname = options.dirname;
-  this.model = options;
+const MEMO_MAX = 1000;
+
+/**
+* Default engine settings
+* @return {Object} A fresh copy of the settings, so engines never share regexps or flags
+*/
+function defaultSettings() {
+  return {
+    config: /^---([\s\S]+?)---/g,
+    comment: /<!--([\s\S]+?)-->/g,
+    partialAsync: /(?<!await\s+)\bpartial\s*\([^)]*\)/g,
+    header: '',
+    extension: '.dot', // default extension of the template names, unless express' 'view engine' is set
+    namespaces: {}, // template roots by namespace, e.g. { emails: '/path/to/emails' } for '@emails/footer'
+
+    stripComment: false,
+    stripWhitespace: false, // shortcut to dot.strip
+    watch: false, // evicts the cached templates when their files change
+    trackPositions: true, // adds the template line and column to the render errors
+    autoEscape: false, // [[= ]] encodes the HTML, [[== ]] prints it as is
+    autoNonce: false, // adds the csp nonce of the render to the <script> and <style> tags
+    minify: false, // minifies the rendered HTML, e.g. true or { comments: true, css: true, js: true } (see lib/minify.js)
+    i18n: false, // message catalogs and locale variants, e.g. { directory: '/path/to/views/locales', defaultLocale: 'en' }
+    sandbox: false, // renders in a sandbox, e.g. { timeout: 100, maxOutput: 1000000, helpers: {} } (see lib/sandbox.js)
+
+    dot: {
+      evaluate: /\[\[([\s\S]+?)]]/g,
+      interpolate: /\[\[=([\s\S]+?)]]/g,
+      encode: /\[\[!([\s\S]+?)]]/g,
+      use: /\[\[#([\s\S]+?)]]/g,
+      define: /\[\[##\s*([\w\.$]+)\s*(:|=)([\s\S]+?)#]]/g,
+      block: /\[\[##\s*(block|append|prepend)\s+([\w$]+)\s*:([\s\S]*?)#]]/g,
+      component: /\[\[@\s*([\s\S]*?)\s*]]/g,
+      serverComment: /\[\[--[\s\S]*?--]]/g,
+      conditional: /\[\[\?(\?)?\s*([\s\S]*?)\s*]]/g,
+      iterate: /\[\[~\s*(?:]]|([\s\S]+?)\s*:\s*([\w$]+)\s*(?::\s*([\w$]+))?\s*]])/g,
+      varname: 'layout, partial, locals, model',
+      strip: false,
+      append: true,
+      selfcontained: false
+    }
+  };
 }
 
-DotDef.prototype = {
+/**
+* Creates an engine with its own settings, caches and helpers.
+* Engines created this way never share state, so two express apps (or views
+* and email templates) can use different delimiters, headers and helpers.
+* @param {Object} [options] Settings merged over the defaults
+* (header, stripComment, stripWhitespace, dot...)
+* @param {Object} [options.cache] The cache store of the templates (see lib/cache.js)
+* @param {Object} [options.asyncCache] The cache store of the async templates
+* @return {Object} The engine
+*/
+function createEngine(options) {
+  options = options || {};
+
+  /**
+  * Engine settings
+  */
+  const settings = _.merge(defaultSettings(), _.omit(options, ['cache', 'asyncCache']));
+
+  /**
+  * Cache store
+  */
+  const cache = options.cache || createCache();
+
+  /**
+  * Async cache store
+  */
+  const asyncCache = options.asyncCache || createCache();
+
+  /**
+  * Precompiled templates, by absolute path (see loadPrecompiled)
+  */
+  const precompiled = {
+    loaded: false,
+    sync: {},
+    async: {}
+  };
+
+  /**
+  * Runtime helpers and filters, by name (see registerHelper and registerFilter)
+  */
+  const registry = {
+    helpers: {},
+    filters: {}
+  };
+
+  /**
+  * Message catalogs, by locale (if the express cache is on, see getCatalog)
+  */
+  const catalogs = createLRUCache({ max: MEMO_MAX, });
+
+  /**
+  * Resolved template names and views, by lookup (if the express cache is on)
+  */
+  const resolved = createLRUCache({ max: MEMO_MAX, });
+
+  /**
+  * Template files watcher (if settings.watch is true)
+  */
+  const watcher = createWatcher(invalidate);
+
+  /**
+  * Sandbox of the templates (if settings.sandbox is set), created for the current settings
+  */
+  let sandbox = null;
+
+  /**
+  * Server-side helper
+  */
+  function DotDef(options) {
+    this.options = options;
+    this.dirname = options.dirname;
+    this.model = options;
+  }
+
+  DotDef.prototype = {
 
-  partial: function (partialPath) {
+    partial: function (partialPath) {
 
-    console.log('DEPRECATED: ' +
-      'Please use the new syntax for partials' +
-      ' [[= partial(\'path/to/partial\') ]]'
-    );
+      console.log('DEPRECATED: ' +
+        'Please use the new syntax for partials' +
+        ' [[= partial(\'path/to/partial\') ]]'
+      );
 
-    const template = getTemplate(
-      path.join(this.dirname || this.model.settings.views, partialPath),
-      this.model
-    );
+      const partialFilename = resolveTemplate(partialPath, this.dirname, this.options.express);
+      trackDependency(this.options.filename, partialFilename);
+
+      const template = getTemplate(partialFilename, this.model);
 
-    return template.render({ model: this.model, isPartial: true, });
+      return template.render({ model: this.model, isPartial: true, });
+    }
+
+  };
+  function DotDefAsync(options) {
+    this.options = options;
+    this.dirname = options.dirname;
+    this.model = options;
   }
 
-};
-function DotDefAsync(options) {
-  this.options = options;
-  this.dirname = options.dirname;
-  this.model = options;
-}
+  DotDefAsync.prototype = {
 
-DotDefAsync.prototype = {
+    partial: function (partialPath) {
 
-  partial: function (partialPath) {
+      console.log('DEPRECATED: ' +
+        'Please use the new syntax for partials' +
+        ' [[= partial(\'path/to/partial\') ]]'
+      );
 
-    console.log('DEPRECATED: ' +
-      'Please use the new syntax for partials' +
-      ' [[= partial(\'path/to/partial\') ]]'
-    );
+      const partialFilename = resolveTemplate(partialPath, this.dirname, this.options.express);
+      trackDependency(this.options.filename, partialFilename);
 
-    return getTemplateAsync(path.join(this.dirname || this.model.settings.views, partialPath), this.model)
-      .then((template) => template.render({ model: this.model, isPartial: true, }));
-  }
+      return getTemplateAsync(partialFilename, this.model)
+        .then((template) => template.render({ model: this.model, isPartial: true, }));
+    }
 
-};
+  };
+
+  /**
+  * @constructor Template object with a layout structure. This object is cached
+  * if the 'options.cache' set by express is true.
+  * @param {Object} options The constructor parameters:
+  *
+  * {Object} engine The option from the engine
+  * {String} source The original template string, to locate the errors
+  * {Object} [templates] The precompiled section functions, by section name
+  *
+  * There are 2 options
+  *
+  * Case 1: A layout view
+  * {String} master The master template filename
+  * {Object} sections A key/value containing the sections of the template
+  *
+  * Case 2: A standalone view
+  * {String} body The template string
+  */
+  function Template(options, isAsync) {
+    const self = this;
+    self.options = options;
+    self.isAsync = !!isAsync;
+
+    // layout
+    self.isLayout = !!options.config.layout;
+    self.masters = createLRUCache({ max: MEMO_MAX, }); // resolved on render, by theme and locale (see getMaster)
+
+    // build the doT templates
+    self.templates = {};
+    self.settings = _.clone(settings.dot);
+    self.def = self.isAsync ? new DotDefAsync(options) : new DotDef(options);
+
+    // escaping, csp nonce, asset stacks, components, i18n and formatting helpers,
+    // before the view data and the shortcuts: the names of the app take precedence
+    self.autoEscape = !!settings.autoEscape;
+    self.settings.varname += ', ' + RENDER_PARAMETERS.join(', ');
+
+    // view data
+    self.viewData = [];
+    if (_.has(options.express, 'settings')
+      && _.has(options.express.settings, 'view data')
+    ) {
+      self.settings.varname = _.reduce(
+        options.express.settings['view data'],
+        function (result, value, key) {
+          self.viewData.push(value);
+          return result + ', ' + key;
+        },
+        self.settings.varname
+      );
+    }
 
-/**
-* @constructor Template object with a layout structure. This object is cached
-* if the 'options.cache' set by express is true.
-* @param {Object} options The constructor parameters:
-*
-* {Object} engine The option from the engine
-*
-* There are 2 options
-*
-* Case 1: A layout view
-* {String} master The master template filename
-* {Object} sections A key/value containing the sections of the template
-*
-* Case 2: A standalone view
-* {String} body The template string
-*/
-function Template(options, isAsync) {
-  const self = this;
-  self.options = options;
-  self.isAsync = !!isAsync;
-
-  // layout
-  self.isLayout = !!options.config.layout;
-  self.master = self.isLayout ?
-    path.join(options.dirname, options.config.layout) :
-    null;
-
-  // build the doT templates
-  self.templates = {};
-  self.settings = _.clone(settings.dot);
-  self.def = self.isAsync ? new DotDefAsync(options) : new DotDef(options);
-
-  // view data
-  self.viewData = [];
-  if (_.has(options.express, 'settings')
-    && _.has(options.express.settings, 'view data')
-  ) {
-    self.settings.varname = _.reduce(
-      options.express.settings['view data'],
-      function (result, value, key) {
-        self.viewData.push(value);
-        return result + ', ' + key;
-      },
-      settings.dot.varname
-    );
-  }
+    // view shortcut
+    self.shortcuts = [];
+    if (_.has(options.express, 'settings')
+      && _.has(options.express.settings, 'view shortcut')
+    ) {
+      self.shortcuts = options.express.settings['view shortcut'];
+      self.settings.varname += ', ' + _.keys(self.shortcuts).join();
+    }
 
-  // view shortcut
-  self.shortcuts = [];
-  if (_.has(options.express, 'settings')
-    && _.has(options.express.settings, 'view shortcut')
-  ) {
-    self.shortcuts = options.express.settings['view shortcut'];
-    self.settings.varname += ', ' + _.keys(self.shortcuts).join();
-  }
+    // runtime helpers and filters, the precompiled templates keep the helpers they were built with
+    self.helpers = options.helpers || _.keys(registry.helpers);
+    self.settings.varname += _.map(self.helpers.concat(FILTER_PARAMETERS), (name) => ', ' + name).join('');
+    if (self.autoEscape) {
+      self.settings.varname += ', ' + ESCAPE_PARAMETERS.join(', ');
+    }
 
-  if (!self.isAsync) {
-    self.init();
-  }
-}
+    // position tracker
+    self.settings.varname += ', ' + POSITION_PARAMETERS.join(', ');
 
-//Creates the section template functions
-Template.prototype.init = function () {
-  const self = this,
-    options = self.options;
-  // doT template
-  for (let key in options.sections) {
-    if (options.sections.hasOwnProperty(key)) {
-      self.templates[key] = dot.template(
-        options.sections[key],
-        self.settings,
-        self.def
-      );
+    self.sandbox = getSandbox();
+
+    if (options.templates) {
+      self.templates = self.sandbox ? _.mapValues(options.templates, self.sandbox.compile) : options.templates;
+      self.size = self.computeSize();
+    } else if (!self.isAsync) {
+      self.init();
     }
   }
-}
 
-//Creates the section template functions asyncrounously
-Template.prototype.initAsync = function () {
-  const self = this,
-    sections = self.options.sections;
-  const templatePromises = Object.keys(sections)
-    .map(key => {
-      if (sections.hasOwnProperty(key)) {
-        return dot.templateAsync(sections[key], self.settings, self.def)
-          .then((t) => self.templates[key] = t)
+  //Creates the section template functions
+  Template.prototype.init = function () {
+    const self = this,
+      options = self.options;
+    // doT template
+    for (let key in options.sections) {
+      if (options.sections.hasOwnProperty(key)) {
+        try {
+          self.sandbox && checkSandboxed(options.sections[key]);
+          self.templates[key] = dot.template(
+            options.sections[key],
+            self.settings,
+            self.def
+          );
+          self.sandbox && (self.templates[key] = self.sandbox.compile(self.templates[key]));
+        }
+        catch (err) {
+          throw new TemplateError(err, { filename: options.filename, section: key, phase: 'build', });
+        }
       }
-    });
-  return Promise.all(templatePromises);
-};
-
-/**
- * Partial method helper
- * @param {Object} layout The layout to pass to the view
- * @param {Object} model The model to pass to the view
- */
-Template.prototype.createPartialHelper = function (layout, model) {
-  const self = this;
+    }
+    self.size = self.computeSize();
+  }
 
-  return function (partialPath) {
+  //Creates the section template functions asyncrounously
+  Template.prototype.initAsync = function () {
     const self = this,
-      args = [].slice.call(arguments, 1),
-      getTemplateFunc = self.isAsync ? getTemplateAsync : getTemplate,
-      templatePath = path.join(self.options.dirname || self.options.express.settings.views, partialPath);
+      sections = self.options.sections;
 
-    if (args.length) {
-      model = _.assign.apply(_, [
-        {},
-        model
-      ].concat(args));
+    if (self.sandbox) {
+      const err = new SandboxError('async', 'Async templates are not supported in the sandbox');
+      return Promise.reject(new TemplateError(err, { filename: self.options.filename, phase: 'build', }));
     }
 
-    const renderOptions = { layout: layout, model: model, isPartial: true };
+    const templatePromises = Object.keys(sections)
+      .map(key => {
+        if (sections.hasOwnProperty(key)) {
+          return dot.templateAsync(sections[key], self.settings, self.def)
+            .then((t) => self.templates[key] = t)
+            .catch((err) => {
+              throw new TemplateError(err, { filename: self.options.filename, section: key, phase: 'build', });
+            });
+        }
+      });
+    return Promise.all(templatePromises)
+      .then(() => self.size = self.computeSize());
+  };
+
+  //Computes the size of the compiled section functions, used by the bounded caches
+  Template.prototype.computeSize = function () {
+    return _.reduce(this.templates, (size, template) => size + template.toString().length, 0);
+  };
+
+  /**
+   * Partial method helper
+   * @param {Object} layout The layout to pass to the view
+   * @param {Object} model The model to pass to the view
+   * @param {Object} options The render options (chain, theme and abort are passed to the partial)
+   */
+  Template.prototype.createPartialHelper = function (layout, model, options) {
+    return function (partialPath) {
+      const args = [].slice.call(arguments, 1);
+
+      if (args.length) {
+        model = _.assign.apply(_, [
+          {},
+          model
+        ].concat(args));
+      }
+
+      return this.renderPartial(partialPath, 'partial', { layout: layout, model: model, }, options);
+    }.bind(this);
+  };
+
+  /**
+   * Component method helper (see lib/components.js).
+   * The component gets the props as model, not the model of the caller.
+   * @param {Object} layout The layout to pass to the view
+   * @param {Object} options The render options
+   */
+  Template.prototype.createComponentHelper = function (layout, options) {
+    const self = this;
+
+    return function (slots, componentPath, props) {
+      return self.renderPartial(componentPath, 'component', {
+        layout: layout,
+        model: props || {},
+        slots: _.mapValues(slots, (slot) => self.toSafe(slot)),
+      }, options);
+    };
+  };
+
+  /**
+   * Renders a partial or a component
+   * @param {String} partialPath The name of the partial
+   * @param {String} type The type of the partial in the chain, 'partial' or 'component'
+   * @param {Object} partialOptions The layout, model and slots of the partial
+   * @param {Object} options The render options of the calling template
+   * @return {String|Promise<String>} The rendered partial (a promise for async templates)
+   */
+  Template.prototype.renderPartial = function (partialPath, type, partialOptions, options) {
+    const self = this,
+      getTemplateFunc = self.isAsync ? getTemplateAsync : getTemplate,
+      templatePath = resolveTemplate(partialPath, self.options.dirname, self.options.express, options.theme, options.locale);
+
+    trackDependency(self.options.filename, templatePath);
+
+    const partialChain = self.getChain(options).concat({ filename: templatePath, type: type, }),
+      renderOptions = _.assign({
+        isPartial: true,
+        chain: partialChain,
+        theme: options.theme,
+        locale: options.locale,
+        translate: options.translate,
+        format: options.format,
+        abort: options.abort,
+        nonce: options.nonce,
+        stacks: options.stacks,
+      }, partialOptions);
 
     if (self.isAsync) {
-      return getTemplateFunc(templatePath, self.options.express)
-        .then(template => template.renderAsync(renderOptions));
+      return guard(getTemplateFunc(templatePath, self.options.express), options.abort)
+        .catch((err) => {
+          throw withChain(err, partialChain);
+        })
+        .then(template => template.renderAsync(renderOptions))
+        .then(result => self.toSafe(result));
     } else {
-      const template = getTemplateFunc(templatePath, self.options.express);
-      return template.render(renderOptions);
+      let template;
+      try {
+        template = getTemplateFunc(templatePath, self.options.express);
+      }
+      catch (err) {
+        throw withChain(err, partialChain);
+      }
+      return self.toSafe(template.render(renderOptions));
+    }
+  };
+
+  /**
+  * Creates the arguments passed to the section template functions
+  * (see settings.dot.varname, 'view data' and 'view shortcut')
+  * @param {Object} layoutModel The layout to pass to the view
+  * @param {Object} options The render options
+  * @param {Object} position The position tracker of the section
+  * @return {Array} The arguments
+  */
+  Template.prototype.createViewModel = function (layoutModel, options, position) {
+    const model = options.model,
+      assets = options.stacks || stacks.createStacks();
+
+    return [].concat(
+      [
+        layoutModel,
+        this.createPartialHelper(layoutModel, model, options),
+        model._locals || {},
+        model
+      ],
+      [escape.helpers, options.nonce || '', assets.push, assets.once, (name) => this.toSafe(assets.stack(name))],
+      [options.slots || {}, this.createComponentHelper(layoutModel, options)],
+      [options.translate || String, options.locale, options.format || format.createFormatters(options.locale)],
+      this.viewData,
+      _.chain(this.shortcuts)
+        .keys()
+        .map((shortcut) => model._locals[this.shortcuts[shortcut]] || null)
+        .valueOf(),
+      _.map(this.helpers, (name) => registry.helpers[name]),
+      [registry.filters],
+      this.autoEscape ? [escape.raw, escape.escapeHTML] : [],
+      [position]
+    );
+  };
+
+  /**
+  * Marks the output of the engine (partials and layout sections) as trusted HTML,
+  * so it is not encoded again when auto-escaping
+  * @param {String} html The rendered HTML
+  * @return {String|SafeString} The trusted HTML
+  */
+  Template.prototype.toSafe = function (html) {
+    return this.autoEscape ? escape.raw(html) : html;
+  };
+
+  /**
+  * Creates the layout model of a render.
+  * layout.super() gives the content a replacing block replaces (see lib/blocks.js).
+  * @param {Object} options The render options
+  * @return {Object} The layout model
+  */
+  Template.prototype.createLayoutModel = function (options) {
+    const self = this,
+      layoutModel = _.merge({}, options.layout, self.options.config);
+
+    layoutModel.super = () => self.toSafe(blocks.SUPER);
+    return layoutModel;
+  };
+
+  /**
+  * Sets a rendered section on the layout model, and records it as a block operation.
+  * The appending and prepending sections only are block operations.
+  * @param {String} key The section name
+  * @param {String} content The rendered section
+  * @param {Object} layoutModel The layout model
+  * @param {Array} operations The block operations of the template (see lib/blocks.js)
+  */
+  Template.prototype.setSection = function (key, content, layoutModel, operations) {
+    const mode = this.options.modes && this.options.modes[key];
+
+    if (!mode) {
+      layoutModel[key] = content;
+      operations.push({ name: key, mode: 'replace', content: content, });
+    }
+    else {
+      // they apply over the replacing sections of the same template
+      operations.unshift({ name: mode.name, mode: mode.mode, content: content, });
     }
-  }.bind(self);
-};
+  };
+
+  /**
+  * Renders a section of the template
+  * @param {String} key The section name
+  * @param {Object} layoutModel The layout to pass to the view
+  * @param {Object} options The render options
+  * @return {String|Promise<String>} The rendered section (a promise for async templates)
+  */
+  Template.prototype.renderSection = function (key, layoutModel, options) {
+    const self = this,
+      template = self.templates[key],
+      position = { offset: -1, };
 
-/**
-* Renders the template.
-* If callback is passed, it will be called asynchronously.
-* @param {Object} options Options to pass to the view
-* @param {Object} [options.layout] The layout key/value
-* @param {Object} options.model The model to pass to the view
-* @param {Function} [callback] (Optional) The async node style callback
-*/
-Template.prototype.render = function (options, callback) {
-  const self = this,
-    isAsync = callback && typeof callback === 'function',
-    layout = options.layout,
-    model = options.model,
-    layoutModel = _.merge({}, layout, this.options.config);
-
-  // render the sections
-  for (let key in this.templates) {
-    if (this.templates.hasOwnProperty(key)) {
+    if (!self.isAsync) {
       try {
+        const viewModel = self.createViewModel(layoutModel, options, position);
+        return self.sandbox ?
+          self.sandbox.call(template, viewModel) :
+          template.apply(template, viewModel);
+      }
+      catch (err) {
+        throw self.createError(err, key, position, options);
+      }
+    }
 
-        const viewModel = _.union(
-          [
-            layoutModel,
-            this.createPartialHelper(layoutModel, model),
-            options.model._locals || {},
-            model
-          ],
-          this.viewData,
-          _.chain(this.shortcuts)
-            .keys()
-            .map(function (shortcut) {
-              return options.model._locals[this.shortcuts[shortcut]] || null;
-            }, this)
-            .valueOf()
-        );
+    return Promise.resolve()
+      .then(() => template.apply(template, self.createViewModel(layoutModel, options, position)))
+      .catch((err) => {
+        throw self.createError(err, key, position, options);
+      });
+  };
+
+  /**
+  * Creates the error of a failed section.
+  * Errors coming from a partial keep their location, the section is added to their templates.
+  * @param {Error} err The original error
+  * @param {String} key The section name
+  * @param {Object} position The position tracker of the section
+  * @param {Object} options The render options
+  * @return {TemplateError} The error
+  */
+  Template.prototype.createError = function (err, key, position, options) {
+    const location = {
+      filename: this.options.filename,
+      section: key,
+      source: this.options.source,
+      offset: position.offset
+    };
+
+    if (!(err instanceof TemplateError)) {
+      const error = new TemplateError(err, location);
+      error.chain = this.getChain(options);
+      error.modelKeys = _.keys(_.omit(options.model, ['settings', '_locals', 'cache']));
+      return error;
+    }
 
-        layoutModel[key] = this.templates[key].apply(
-          this.templates[key],
-          viewModel
-        );
+    err.addTemplate(location);
+    return err;
+  };
+
+  /**
+  * Gets the templates being rendered, from the view to this one
+  * @param {Object} options The render options
+  * @return {Array} The chain (see TemplateError)
+  */
+  Template.prototype.getChain = function (options) {
+    return options.chain || [{ filename: this.options.filename, type: 'view', }];
+  };
+
+  /**
+  * Gets the sections of the template, without the computed layout and subject
+  * @return {Array} The section names
+  */
+  Template.prototype.getSections = function () {
+    return Object.keys(this.templates).filter((key) => key !== LAYOUT_SECTION && key !== SUBJECT_SECTION);
+  };
+
+  /**
+  * Gets the layout of a render: the layout render option (see getLayoutOption)
+  * or the yaml layout, computed from the model if it contains interpolations
+  * @param {Object} layoutModel The layout to pass to the view
+  * @param {Object} options The render options
+  * @return {String|Promise<String>} The layout name, empty if none (a promise for computed async layouts)
+  */
+  Template.prototype.getLayout = function (layoutModel, options) {
+    if (!_.isNil(options.master)) {
+      return options.master || '';
+    }
+    if (!this.templates.hasOwnProperty(LAYOUT_SECTION)) {
+      return this.options.config.layout || '';
+    }
+
+    const layout = this.renderSection(LAYOUT_SECTION, layoutModel, options);
+    return this.isAsync ? layout.then(_.trim) : _.trim(layout);
+  };
+
+  /**
+  * Gets the email subject of a render: the yaml subject, computed from the model if it contains interpolations
+  * @param {Object} layoutModel The rendered layout
+  * @param {Object} options The render options
+  * @return {String|Promise<String>} The subject, empty if none (a promise for async templates)
+  */
+  Template.prototype.getSubject = function (layoutModel, options) {
+    if (!this.templates.hasOwnProperty(SUBJECT_SECTION)) {
+      return _.isNil(this.options.config.subject) ? '' : String(this.options.config.subject);
+    }
+
+    const subject = this.renderSection(SUBJECT_SECTION, layoutModel, options);
+    return this.isAsync ? subject.then(_.trim) : _.trim(subject);
+  };
+
+  /**
+  * Gets the path to the master template, resolved from this template (memoized by theme and locale)
+  * @param {String} name The layout name (see getLayout)
+  * @param {Object} options The render options
+  * @return {String} The path, null without layout
+  */
+  Template.prototype.getMaster = function (name, options) {
+    const key = JSON.stringify([options.theme || [], options.locale, name]);
+
+    if (this.masters.get(key) === undefined) {
+      const master = name ?
+        resolveTemplate(name, this.options.dirname, this.options.express, options.theme, options.locale) :
+        null;
+      this.masters.set(key, master);
+      trackDependency(this.options.filename, master);
+    }
+    return this.masters.get(key);
+  };
+
+  /**
+  * Gets the output of a template without master
+  * @param {Object} layoutModel The rendered layout
+  * @param {Object} options The render options
+  * @return {String} The output
+  */
+  Template.prototype.getOutput = function (layoutModel, options) {
+    // a template with a yaml layout renders its body section
+    const body = _.isNil(layoutModel.body) && this.isLayout ? '' : String(layoutModel.body);
+
+    // append the header to the master page
+    return (!options.isPartial ? settings.header : '') + blocks.resolveBlocks(body, options.blocks);
+  };
+
+  /**
+  * Gets the render options of the master template
+  * @param {String} master The path to the master template (see getMaster)
+  * @param {Object} layoutModel The rendered layout
+  * @param {Object} options The render options
+  * @param {Array} operations The block operations of the template (see setSection)
+  * @return {Object} The master render options
+  */
+  Template.prototype.getMasterOptions = function (master, layoutModel, options, operations) {
+    return {
+      layout: layoutModel,
+      model: options.model,
+      chain: this.getChain(options).concat({ filename: master, type: 'layout', }),
+      theme: options.theme,
+      locale: options.locale,
+      translate: options.translate,
+      format: options.format,
+      abort: options.abort,
+      nonce: options.nonce,
+      stacks: options.stacks,
+      blocks: (options.blocks || []).concat(operations),
+    };
+  };
+
+  /**
+  * Renders the template.
+  * If callback is passed, it will be called asynchronously.
+  * @param {Object} options Options to pass to the view
+  * @param {Object} [options.layout] The layout key/value
+  * @param {Object} options.model The model to pass to the view
+  * @param {String|Boolean} [options.master] The layout of the view, overriding the yaml one (false for none)
+  * @param {Object} [options.stacks] The asset stacks of the render (see lib/stacks.js)
+  * @param {Function} [callback] (Optional) The async node style callback
+  */
+  Template.prototype.render = function (options, callback) {
+    const isAsync = callback && typeof callback === 'function',
+      layoutModel = this.createLayoutModel(options),
+      operations = [];
+
+    // the layout and the sections
+    let master;
+    try {
+      master = this.getMaster(this.getLayout(layoutModel, options), options);
+
+      for (let key of this.getSections()) {
+        this.setSection(key, this.toSafe(this.renderSection(key, layoutModel, options)), layoutModel, operations);
+      }
+    }
+    catch (error) {
+      error = withChain(error, this.getChain(options));
+      if (isAsync) {
+        callback(error);
+        return;
+      }
+      throw error;
+    }
+
+    // no layout
+    if (!master) {
+      const result = this.getOutput(layoutModel, options);
+
+      if (isAsync) {
+        callback(null, result);
+      }
+      return result;
+    }
+
+    const masterOptions = this.getMasterOptions(master, layoutModel, options, operations);
+
+    // render the master sync
+    if (!isAsync) {
+      let masterTemplate;
+      try {
+        masterTemplate = getTemplate(master, this.options.express);
       }
       catch (err) {
-        const error = new Error(`Failed to render with doT (${self.options.filename}) - ${err.toString()}`);
+        throw withChain(err, masterOptions.chain);
+      }
+      return masterTemplate.render(masterOptions);
+    }
 
-        if (isAsync) {
-          callback(error);
-          return;
-        }
-        throw error;
+    // render the master async
+    getTemplate(master, this.options.express, function (err, masterTemplate) {
+      if (err) {
+        callback(withChain(err, masterOptions.chain));
+        return;
       }
+
+      return masterTemplate.render(masterOptions, callback);
+    });
+  };
+
+  /**
+  * Renders the template assuming that it can contain asynchronous calls
+  * @param {Object} options Options to pass to the view
+  * @param {Object} [options.layout] The layout key/value
+  * @param {Object} options.model The model to pass to the view
+  * @param {String|Boolean} [options.master] The layout of the view, overriding the yaml one (false for none)
+  * @param {Object} [options.email] Gets the rendered layout of the view, for its subject and text (see renderEmail)
+  */
+  Template.prototype.renderAsync = function (options) {
+    const self = this,
+      layoutModel = self.createLayoutModel(options),
+      operations = [],
+      abort = options.abort;
+
+    if (options.email) {
+      options.email.layout = layoutModel;
+    }
+
+    // stop there if the render was aborted (e.g. by a partial that timed out)
+    if (abort && abort.error) {
+      return Promise.reject(abort.error);
+    }
+    abort && abort.enter(self.options.filename);
+
+    // render the layout and the sections
+    let master;
+    const rendered = Promise.resolve(self.getLayout(layoutModel, options))
+      .then((layout) => {
+        master = self.getMaster(layout, options);
+
+        return Promise.all(self.getSections()
+          .map((key) => self.renderSection(key, layoutModel, options)
+            .then((m) => self.setSection(key, self.toSafe(m), layoutModel, operations))));
+      })
+      .then(() => {
+        // no layout
+        if (!master) {
+          return self.getOutput(layoutModel, options);
+        }
+
+        const masterOptions = self.getMasterOptions(master, layoutModel, options, operations);
+
+        return guard(getTemplateAsync(master, self.options.express), abort)
+          .catch((err) => {
+            throw withChain(err, masterOptions.chain);
+          })
+          .then((masterTemplate) => masterTemplate.renderAsync(masterOptions));
+      });
+
+    return abort ? rendered.finally(() => abort.leave(self.options.filename)) : rendered;
+  };
+
+  /**
+  * Renders the template for streaming. The sections of the layouts are not
+  * awaited: the master page gets placeholders instead, resolved while streaming.
+  * @param {Object} options Options to pass to the view
+  * @param {Object} [options.layout] The layout key/value
+  * @param {Object} options.model The model to pass to the view
+  * @param {String|Boolean} [options.master] The layout of the view, overriding the yaml one (false for none)
+  * @param {Object} deferred The deferred sections of the render (see renderStream)
+  * @return {Promise<String>} The master page, containing the placeholders
+  */
+  Template.prototype.renderDeferred = function (options, deferred) {
+    const self = this,
+      layoutModel = self.createLayoutModel(options),
+      masterLayout = _.clone(layoutModel),
+      operations = [];
+
+    return Promise.resolve(self.getLayout(layoutModel, options))
+      .then((layout) => {
+        const master = self.getMaster(layout, options);
+
+        // the master page is what gets streamed, it is rendered entirely
+        if (!master) {
+          return self.renderAsync(options);
+        }
+
+        self.getSections().forEach((key) => {
+          self.setSection(key, self.toSafe(deferred.placeholder(self.renderSection(key, layoutModel, options))), masterLayout, operations);
+        });
+
+        const masterOptions = self.getMasterOptions(master, masterLayout, options, operations);
+
+        return getTemplateAsync(master, self.options.express)
+          .catch((err) => {
+            throw withChain(err, masterOptions.chain);
+          })
+          .then((masterTemplate) => masterTemplate.renderDeferred(masterOptions, deferred));
+      });
+  };
+
+  /**
+  * Watches a template file, if the watch mode is on
+  * @param {String} filename The path to the template
+  */
+  function watchFile(filename) {
+    if (settings.watch) {
+      watcher.watch(filename);
     }
   }
 
-  // no layout
-  if (!this.isLayout) {
+  /**
+  * Records that a template uses a layout or a partial, if the watch mode is on
+  * @param {String} filename The path to the template
+  * @param {String} dependency The path to the layout or partial
+  */
+  function trackDependency(filename, dependency) {
+    if (settings.watch) {
+      watcher.addDependency(filename, dependency);
+    }
+  }
 
-    // append the header to the master page
-    const result = (!options.isPartial ? settings.header : '') + layoutModel.body;
+  /**
+  * Resolves a template name (partial or layout) to the path of the template.
+  * See lib/resolver.js for the lookup order.
+  * @param {String} name The template name
+  * @param {String} dirname The directory of the template using the name
+  * @param {Object} options The option sent by express
+  * @param {Array} [theme] The override directories of the render
+  * @param {String} [locale] The locale of the render (see getVariantLocales)
+  * @return {String} The path to the template
+  */
+  function resolveTemplate(name, dirname, options, theme, locale) {
+    const expressSettings = options.settings || {},
+      roots = [].concat(expressSettings.views || []),
+      key = JSON.stringify([name, dirname, roots, theme || [], locale]);
+
+    if (options.cache && resolved.get(key) !== undefined) {
+      return resolved.get(key);
+    }
+
+    const viewEngine = expressSettings['view engine'],
+      candidates = resolver.getCandidates(name, {
+        dirname: dirname || roots[0] || '',
+        roots: roots,
+        namespaces: settings.namespaces,
+        theme: options.getTemplate ? [] : theme,
+        locales: options.getTemplate ? [] : getVariantLocales(locale),
+        // a custom template provider decides by itself what exists
+        extension: options.getTemplate ? '' :
+          viewEngine ? '.' + viewEngine.replace(/^\./, '') : settings.extension,
+      }),
+      filename = options.getTemplate ?
+        candidates[0] :
+        _.find(candidates, templateExists);
+
+    if (!filename) {
+      throw new Error(`Failed to lookup template "${name}" (${candidates.join(', ')})`);
+    }
 
-    if (isAsync) {
-      callback(null, result);
+    if (options.cache) {
+      resolved.set(key, filename);
     }
-    return result;
+    return filename;
+  }
+
+  /**
+  * Gets the csp nonce of a render, from the model or the express locals (cspNonce)
+  * @param {Object} options The model to pass to the view
+  * @return {String} The nonce, undefined if none
+  */
+  function getNonce(options) {
+    return options && (options.cspNonce || (options._locals && options._locals.cspNonce)) || undefined;
+  }
+
+  /**
+  * Gets the layout of a render, overriding the yaml layout of the view,
+  * from the model or the express locals (layout, false for none).
+  * Other values (e.g. a layout object of the app) do not override it.
+  * @param {Object} options The model to pass to the view
+  * @return {String|Boolean} The layout, undefined if not overridden
+  */
+  function getLayoutOption(options) {
+    return _.find([options && options.layout, options && options._locals && options._locals.layout],
+      (layout) => _.isString(layout) || layout === false);
+  }
+
+  /**
+  * Creates the render options of a view
+  * @param {Object} options The model to pass to the view
+  * @param {Array} [theme] The override directories of the render (see getTheme)
+  * @return {Object} The render options (see Template.render)
+  */
+  function getRenderOptions(options, theme) {
+    const locale = getLocale(options);
+
+    return {
+      model: options,
+      theme: theme,
+      locale: locale,
+      translate: createTranslate(locale, options),
+      format: format.createFormatters(locale, getTimeZone(options)),
+      nonce: getNonce(options),
+      master: getLayoutOption(options),
+      stacks: stacks.createStacks(),
+    };
   }
 
-  // render the master sync
-  if (!isAsync) {
-    const masterTemplate = getTemplate(this.master, this.options.express);
-    return masterTemplate.render({ layout: layoutModel, model: model, });
+  /**
+  * Finishes the output of a render: prints the asset stacks, adds the csp nonce and minifies it
+  * @param {String} html The rendered template
+  * @param {Object} renderOptions The render options (see getRenderOptions)
+  * @param {Object} [minifyState] The minification state of a stream, carried from a chunk to the next one
+  * @return {String} The output
+  */
+  function getOutput(html, renderOptions, minifyState) {
+    return withMinify(withNonce(renderOptions.stacks.resolve(html), renderOptions.nonce), minifyState);
   }
 
-  // render the master async
-  getTemplate(this.master, this.options.express, function (err, masterTemplate) {
-    if (err) {
-      callback(err);
-      return;
+  /**
+  * Minifies the output of a render, if settings.minify is set
+  * @param {String} html The rendered template
+  * @param {Object} [state] The minification state of a stream (see lib/minify.js)
+  * @return {String} The rendered template
+  */
+  function withMinify(html, state) {
+    return settings.minify ? minify(html, settings.minify, state) : html;
+  }
+
+  /**
+  * Adds the csp nonce of a render to its output, if settings.autoNonce is true
+  * @param {String} html The rendered template
+  * @param {String} nonce The nonce (see getNonce)
+  * @return {String} The rendered template
+  */
+  function withNonce(html, nonce) {
+    return settings.autoNonce && nonce ? csp.addNonce(html, nonce) : html;
+  }
+
+  /**
+  * Gets the override directories of a render (the theme option), by priority
+  * @param {Object} options The model to pass to the view
+  * @return {Array} The directories
+  */
+  function getTheme(options) {
+    return [].concat(options.theme || []);
+  }
+
+  /**
+  * Resolves the view to render with the theme and the locale, the view itself can be overridden
+  * (memoized by theme and locale)
+  * @param {String} filename The path to the view
+  * @param {Object} options The model to pass to the view
+  * @param {Object} renderOptions The render options (see getRenderOptions)
+  * @return {String} The path to the template
+  */
+  function resolveView(filename, options, renderOptions) {
+    const theme = renderOptions.theme || [],
+      locales = getVariantLocales(renderOptions.locale);
+
+    if ((!theme.length && !locales.length) || options.getTemplate) {
+      return filename;
     }
 
-    return masterTemplate.render({ layout: layoutModel, model: model, }, callback);
-  });
-};
+    const roots = [].concat(options.settings && options.settings.views || []),
+      key = JSON.stringify([filename, roots, theme, locales]);
 
-/**
-* Renders the template assuming that it can contain asynchronous calls
-* @param {Object} options Options to pass to the view
-* @param {Object} [options.layout] The layout key/value
-* @param {Object} options.model The model to pass to the view
-*/
-Template.prototype.renderAsync = function (options) {
-  const self = this,
-    layout = options.layout,
-    model = options.model,
-    layoutModel = _.merge({}, layout, this.options.config);
-
-  // render the sections
-  const sectionPromisses = Object.keys(self.templates)
-    .map((key) => {
-      if (self.templates.hasOwnProperty(key)) {
-        try {
+    if (options.cache && resolved.get(key) !== undefined) {
+      return resolved.get(key);
+    }
 
-          const viewModel = _.union(
-            [
-              layoutModel,
-              self.createPartialHelper(layoutModel, model),
-              options.model._locals || {},
-              model
-            ],
-            self.viewData,
-            _.chain(self.shortcuts)
-              .keys()
-              .map(function (shortcut) {
-                return options.model._locals[self.shortcuts[shortcut]] || null;
-              }, self)
-              .valueOf()
-          );
+    const overrides = resolver.getOverrides(filename, {
+      theme: theme,
+      roots: roots,
+    });
+    const candidates = _.flatMap(overrides, (override) => resolver.getVariants(override, locales)),
+      view = _.find(candidates, templateExists) || filename;
 
-          return self.templates[key].apply(self.templates[key], viewModel)
-            .then((m) => layoutModel[key] = m);
+    if (options.cache) {
+      resolved.set(key, view);
+    }
+    return view;
+  }
 
-        }
-        catch (err) {
-          throw new Error(`Failed to render with doT (${self.options.filename}) - ${err.toString()}`);
-        }
+  /**
+  * Gets the locale of a render, from the model or the express locals (locale),
+  * defaults to the default locale of settings.i18n (also in place of a locale that is not a BCP 47 tag)
+  * @param {Object} options The model to pass to the view
+  * @return {String} The canonical locale, undefined if none
+  */
+  function getLocale(options) {
+    return i18n.normalizeLocale(options && (options.locale || (options._locals && options._locals.locale))) ||
+      settings.i18n && settings.i18n.defaultLocale || undefined;
+  }
+
+  /**
+  * Gets the time zone of a render, from the model or the express locals (timeZone)
+  * @param {Object} options The model to pass to the view
+  * @return {String} The time zone, undefined if none (the time zone of the server)
+  */
+  function getTimeZone(options) {
+    return options && (options.timeZone || (options._locals && options._locals.timeZone)) || undefined;
+  }
+
+  /**
+  * Gets the locales of the template variants of a render (e.g. welcome.fr.dot), if settings.i18n is set
+  * @param {String} locale The locale of the render
+  * @return {Array} The locales, by priority
+  */
+  function getVariantLocales(locale) {
+    return settings.i18n ? i18n.getLocales(locale) : [];
+  }
+
+  /**
+  * Gets the message catalog of a locale, from the directory of settings.i18n
+  * (defaults to the 'locales' directory of the views)
+  * @param {String} locale The locale
+  * @param {Object} options The model to pass to the view
+  * @return {Object} The messages, null if none
+  */
+  function getCatalog(locale, options) {
+    const views = [].concat(options.settings && options.settings.views || [])[0],
+      directory = settings.i18n.directory || (views && path.join(views, 'locales'));
+
+    if (!directory) {
+      return null;
+    }
+    if (options.cache && catalogs.get(directory + '\n' + locale) !== undefined) {
+      return catalogs.get(directory + '\n' + locale);
+    }
+
+    const catalog = i18n.loadCatalog(directory, locale);
+    if (options.cache) {
+      catalogs.set(directory + '\n' + locale, catalog);
+    }
+    return catalog;
+  }
+
+  /**
+  * Creates the translate function of a render (t in the templates, see lib/i18n.js).
+  * The messages are looked up in the locale, then in the default locale,
+  * each catalog is loaded once by render (and kept if the express cache is on).
+  * @param {String} locale The locale of the render
+  * @param {Object} options The model to pass to the view
+  * @return {Function} The translate function
+  */
+  function createTranslate(locale, options) {
+    if (!settings.i18n) {
+      return String;
+    }
+
+    const locales = _.uniq(i18n.getLocales(locale).concat(i18n.getLocales(settings.i18n.defaultLocale)));
+    const loaded = new Map();
+    return i18n.createTranslator(locales, function (catalogLocale) {
+      if (!loaded.has(catalogLocale)) {
+        loaded.set(catalogLocale, getCatalog(catalogLocale, options || {}));
       }
+      return loaded.get(catalogLocale);
     });
-  return Promise.all(sectionPromisses)
-    .then(() => {
-      // no layout
-      if (!self.isLayout) {
-        // append the header to the master page
-        const result = (!options.isPartial ? settings.header : '') + layoutModel.body;
-        return result;
-      }
+  }
 
-      return getTemplateAsync(self.master, self.options.express)
-        .then((masterTemplate) => masterTemplate.renderAsync({ layout: layoutModel, model: model, }));
+  /**
+  * Tells if a template exists, precompiled or as a file
+  * @param {String} filename The path to the template
+  * @return {Boolean} true if it exists
+  */
+  function templateExists(filename) {
+    if (getPrecompiled(precompiled.sync, filename) || getPrecompiled(precompiled.async, filename)) {
+      return true;
+    }
+
+    try {
+      return fs.statSync(filename).isFile();
+    }
+    catch (err) {
+      return false;
+    }
+  }
+
+  /**
+  * Gets the sandbox of the templates, if settings.sandbox is set
+  * @return {Object} The sandbox (see lib/sandbox.js), null if not sandboxed
+  */
+  function getSandbox() {
+    if (!settings.sandbox) {
+      return null;
+    }
+    if (!sandbox || sandbox.settings !== settings.sandbox) {
+      sandbox = _.assign(createSandbox(settings.sandbox), { settings: settings.sandbox, });
+    }
+    return sandbox;
+  }
+
+  /**
+  * Checks that a template section can be sandboxed: the compile-time
+  * tags are evaluated by doT outside of the sandbox
+  * @param {String} str The section string
+  */
+  function checkSandboxed(str) {
+    let evaluated = new RegExp(settings.dot.use.source).test(str);
+
+    str.replace(settings.dot.define, function (m, code, assign) {
+      evaluated = evaluated || assign === '=';
     });
-};
 
-/**
-* Retrieves a template given a filename.
-* Uses cache for optimization (if options.cache is true).
-* If callback is passed, it will be called asynchronously.
-* @param {String} filename The path to the template
-* @param {Object} options The option sent by express
-* @param {Function} [callback] (Optional) The async node style callback
-*/
-function getTemplate(filename, options, callback) {
-  const isAsync = callback && typeof callback === 'function',
-    cacheTemplate = !!options.cache;
-
-  // cache
-  if (cacheTemplate) {
-    const fromCache = cache.get(filename);
-    if (fromCache) {
-      //console.log('cache hit');
+    if (evaluated) {
+      throw new SandboxError('compile-time', 'Compile-time evaluation is not allowed in the sandbox ([[# ]] and [[##name= ]] tags)');
+    }
+  }
+
+  /**
+  * Evicts a template and every template depending on it from the caches
+  * @param {String} filename The path to the template
+  */
+  function invalidate(filename) {
+    watcher.affectedBy(filename).forEach(function (key) {
+      cache.delete(key);
+      asyncCache.delete(key);
+    });
+    resolved.clear();
+    catalogs.clear();
+  }
+
+  /**
+  * Registers a runtime helper, available by name in the sections, partials and layouts.
+  * The cached templates are evicted, to be built with it.
+  * @param {String} name The helper name, e.g. 'formatDate' for [[= formatDate(model.date) ]]
+  * @param {*} helper The helper, usually a function
+  */
+  function registerHelper(name, helper) {
+    const reserved = settings.dot.varname.split(/\s*,\s*/)
+      .concat(RENDER_PARAMETERS, FILTER_PARAMETERS, ESCAPE_PARAMETERS, POSITION_PARAMETERS, RESERVED_WORDS);
+
+    if (!/^[A-Za-z_$][\w$]*$/.test(name) || reserved.indexOf(name) !== -1) {
+      throw new Error(`Invalid helper name (${name})`);
+    }
+
+    registry.helpers[name] = helper;
+    clearCaches();
+  }
+
+  /**
+  * Registers a filter of the interpolations, e.g. [[= model.price | currency('EUR') ]].
+  * The filter gets the value, then the arguments. The cached templates are evicted, to be built with it.
+  * @param {String} name The filter name
+  * @param {Function} filter The filter
+  */
+  function registerFilter(name, filter) {
+    if (!/^[\w$]+$/.test(name) || typeof filter !== 'function') {
+      throw new Error(`Invalid filter (${name})`);
+    }
+
+    registry.filters[name] = filter;
+    clearCaches();
+  }
+
+  /**
+  * Evicts every template from the caches
+  */
+  function clearCaches() {
+    cache.clear();
+    asyncCache.clear();
+  }
+
+  /**
+  * Stops watching the template files
+  */
+  function unwatch() {
+    watcher.close();
+  }
+
+  /**
+  * Retrieves a template given a filename.
+  * Uses cache for optimization (if options.cache is true).
+  * If callback is passed, it will be called asynchronously.
+  * @param {String} filename The path to the template
+  * @param {Object} options The option sent by express
+  * @param {Function} [callback] (Optional) The async node style callback
+  */
+  function getTemplate(filename, options, callback) {
+    const isAsync = callback && typeof callback === 'function',
+      cacheTemplate = !!options.cache,
+      fromPrecompiled = getPrecompiled(precompiled.sync, filename);
+
+    // precompiled
+    if (fromPrecompiled) {
+      if (isAsync) {
+        callback(null, fromPrecompiled);
+      }
+
+      return fromPrecompiled;
+    }
+
+    // cache
+    if (cacheTemplate) {
+      const fromCache = cache.get(filename);
+      if (fromCache) {
+        //console.log('cache hit');
+        if (isAsync) {
+          callback(null, fromCache);
+        }
+
+        return fromCache;
+      }
+      //console.log('cache miss');
+    }
+
+    // function to call when retieved template
+    function done(err, template) {
+
+      // cache
+      if (cacheTemplate && template) {
+        cache.set(filename, template);
+      }
+
       if (isAsync) {
-        callback(null, fromCache);
+        callback(err, template);
       }
 
-      return fromCache;
+      return template;
+    }
+
+    // sync
+    if (!isAsync) {
+      return done(null, buildTemplate(filename, options));
     }
-    //console.log('cache miss');
+
+    // async
+    buildTemplate(filename, options, done);
   }
 
-  // function to call when retieved template
-  function done(err, template) {
+  function getTemplateAsync(filename, options) {
+    const cacheTemplate = !!options?.cache,
+      fromPrecompiled = getPrecompiled(precompiled.async, filename);
 
+    // precompiled
+    if (fromPrecompiled) {
+      return Promise.resolve(fromPrecompiled);
+    }
     // cache
-    if (cacheTemplate && template) {
-      cache.set(filename, template);
+    if (cacheTemplate) {
+      const fromCache = asyncCache.get(filename);
+      if (fromCache) {
+        //console.log('asyncCache hit');
+        return Promise.resolve(fromCache);
+      }
+      //console.log('asyncCache miss');
     }
 
-    if (isAsync) {
-      callback(err, template);
-    }
+    return buildTemplateAsync(filename, options)
+      .then((template) => {
+        if (cacheTemplate && template) {
+          asyncCache.set(filename, template);
+        }
+        return template;
+      });
+  }
 
-    return template;
+  /**
+  * Gets a precompiled template
+  * @param {Object} templates The precompiled templates (sync or async)
+  * @param {String} filename The path to the template
+  * @return {Template} The template, undefined if it was not precompiled
+  */
+  function getPrecompiled(templates, filename) {
+    return precompiled.loaded ? templates[path.resolve(filename)] : undefined;
   }
 
-  // sync
-  if (!isAsync) {
-    return done(null, buildTemplate(filename, options));
+  /**
+  * Precompiles the templates of a views directory (layouts and partials included)
+  * into a javascript module, to load with loadPrecompiled
+  * @param {String} dirname The views directory
+  * @param {Object} [options] The precompile options:
+  * {Array} [extensions] The template extensions, defaults to ['.dot']
+  * {Boolean} [sync] Precompiles for render, defaults to true
+  * {Boolean} [async] Precompiles for renderAsync, defaults to true
+  * {Object} [settings] The express settings ('view data' and 'view shortcut')
+  * @return {Promise<String>} The javascript module
+  */
+  function precompile(dirname, options) {
+    options = _.defaults({}, options, {
+      extensions: ['.dot'],
+      sync: true,
+      async: true,
+      settings: {}
+    });
+
+    const buildOptions = { settings: options.settings, },
+      names = precompiler.listTemplates(dirname, options.extensions);
+
+    return Promise.all(names.map((name) => {
+      const filename = path.join(dirname, name);
+
+      return fsPromises.readFile(filename, 'utf8')
+        .then((str) => Promise.all([
+          options.sync ? builtTemplateFromString(str, filename, buildOptions) : null,
+          options.async ? builtTemplateFromStringAsync(str, filename, buildOptions) : null
+        ]))
+        .then(([template, asyncTemplate]) => ({
+          config: (template || asyncTemplate).options.config,
+          modes: (template || asyncTemplate).options.modes,
+          helpers: (template || asyncTemplate).helpers,
+          autoEscape: (template || asyncTemplate).autoEscape,
+          varname: (template || asyncTemplate).settings.varname,
+          source: (template || asyncTemplate).options.source,
+          sync: template ? template.templates : undefined,
+          async: asyncTemplate ? asyncTemplate.templates : undefined
+        }));
+    }))
+      .then((templates) => precompiler.serialize(_.zipObject(names, templates)));
   }
 
-  // async
-  buildTemplate(filename, options, done);
-}
+  /**
+  * Loads precompiled templates (see precompile).
+  * They are used instead of the template files, which are never read.
+  * @param {Object} bundle The precompiled module
+  * @param {Object} options The load options:
+  * {String} root The views directory the templates were precompiled from
+  * {Object} [settings] The express settings, the same as when precompiling
+  * The engine must have the autoEscape setting the templates were precompiled with.
+  */
+  function loadPrecompiled(bundle, options) {
+    options = options || {};
+
+    if (!bundle || bundle.version !== precompiler.VERSION) {
+      throw new Error(`Failed to load precompiled templates - unsupported version (${bundle && bundle.version})`);
+    }
+
+    // the layouts and partials of the precompiled templates are precompiled too
+    const express = { settings: options.settings || {}, cache: true, };
+
+    _.forEach(bundle.templates, (template, name) => {
+      if (!!template.autoEscape !== !!settings.autoEscape) {
+        throw new Error(`Failed to load precompiled templates - ${name} was precompiled with autoEscape ` +
+          `${template.autoEscape ? 'on' : 'off'}, it is ${settings.autoEscape ? 'on' : 'off'}`);
+      }
+
+      const filename = path.resolve(options.root || '', name),
+        templateOptions = {
+          express: express,
+          config: template.config,
+          sections: {},
+          modes: template.modes,
+          helpers: template.helpers,
+          source: template.source,
+          dirname: path.dirname(filename),
+          filename: filename
+        };
+
+      if (template.sync) {
+        precompiled.sync[filename] = new Template(_.assign({ templates: template.sync, }, templateOptions));
+      }
+      if (template.async) {
+        precompiled.async[filename] = new Template(_.assign({ templates: template.async, }, templateOptions), true);
+      }
+
+      // the section functions get their arguments by position
+      const loaded = precompiled.sync[filename] || precompiled.async[filename];
+      if (loaded && loaded.settings.varname !== template.varname) {
+        throw new Error(`Failed to load precompiled templates - ${name} was precompiled with other settings ` +
+          `(arguments ${template.varname}, expected ${loaded.settings.varname})`);
+      }
+    });
+
+    precompiled.loaded = true;
+  }
+
+  /**
+  * Exports templates for the browser, with their layouts and partials, as a
+  * standalone module rendering them like the server (see lib/client-runtime.js)
+  * @param {Array|String} names The paths to the templates, relative to the views directory
+  * @param {Object} options The export options:
+  * {String} root The views directory
+  * {String} [format] 'esm' (default) or 'umd'
+  * {String} [name] The global name of the umd bundle, defaults to 'dotTemplates'
+  * @return {Promise<String>} The javascript bundle
+  */
+  function exportClient(names, options) {
+    options = options || {};
+
+    const root = options.root || '',
+      templates = {},
+      buildOptions = { settings: {}, trackPositions: false, },
+      resolveOptions = { settings: { views: root, }, };
+
+    function add(name) {
+      name = path.posix.normalize(name);
+      if (templates[name]) {
+        return Promise.resolve();
+      }
 
-function getTemplateAsync(filename, options) {
-  const cacheTemplate = !!options?.cache;
-  // cache
-  if (cacheTemplate) {
-    const fromCache = asyncCache.get(filename);
-    if (fromCache) {
-      //console.log('asyncCache hit');
-      return Promise.resolve(fromCache);
+      const filename = path.join(root, name);
+      templates[name] = filename;
+
+      return fsPromises.readFile(filename, 'utf8')
+        .then((str) => {
+          const template = builtTemplateFromString(str, filename, buildOptions),
+            config = template.options.config,
+            names = {};
+
+          // the layouts computed from the model are not known, they are exported with the names
+          const dependencies = template.templates[LAYOUT_SECTION] ? _.omit(config, 'layout') : config;
+          client.getDependencies(stripServerComments(str), dependencies).forEach(function (dependency) {
+            try {
+              names[dependency] = client.getName(root, resolveTemplate(dependency, path.dirname(filename), resolveOptions));
+            }
+            catch (err) {
+              throw new Error(`Failed to export ${name} - ${err.message}`);
+            }
+          });
+
+          templates[name] = {
+            config: config,
+            sections: template.templates,
+            modes: template.options.modes,
+            helpers: template.helpers,
+            names: names,
+          };
+          return Promise.all(_.values(names).map(add));
+        });
     }
-    //console.log('asyncCache miss');
+
+    return Promise.all([].concat(names).map(add))
+      .then(() => client.bundle(templates, _.assign({ autoEscape: !!settings.autoEscape, }, options)));
   }
 
-  return buildTemplateAsync(filename, options)
-    .then((template) => {
-      if (cacheTemplate && template) {
-        asyncCache.set(filename, template);
+  /**
+   * Builds a template
+   * If callback is passed, it will be called asynchronously.
+   * @param {String} filename The path or the name to the template
+   * @param {Object} options The options sent by express
+   * @param {Function} callback (Optional) The async node style callback
+   */
+  function buildTemplate(filename, options, callback) {
+    const isAsync = callback && typeof callback === 'function',
+      getTemplateContentFn = options.getTemplate && typeof options.getTemplate === 'function' ? options.getTemplate : getTemplateContentFromFile;
+
+    // sync
+    if (!isAsync) {
+      return builtTemplateFromString(
+        getTemplateContentFn(filename, options),
+        filename,
+        options
+      );
+    }
+
+    // function to call when retrieved template content
+    function done(err, templateText) {
+      if (err) {
+        callback(err);
+        return;
       }
-      return template;
-    });
-}
 
-/**
- * Builds a template
- * If callback is passed, it will be called asynchronously.
- * @param {String} filename The path or the name to the template
- * @param {Object} options The options sent by express
- * @param {Function} callback (Optional) The async node style callback
- */
-function buildTemplate(filename, options, callback) {
-  const isAsync = callback && typeof callback === 'function',
-    getTemplateContentFn = options.getTemplate && typeof options.getTemplate === 'function' ? options.getTemplate : getTemplateContentFromFile;
-
-  // sync
-  if (!isAsync) {
-    return builtTemplateFromString(
-      getTemplateContentFn(filename, options),
-      filename,
-      options
-    );
+      let template;
+      try {
+        template = builtTemplateFromString(templateText, filename, options);
+      }
+      catch (err) {
+        callback(err);
+        return;
+      }
+
+      callback(null, template);
+    }
+
+    getTemplateContentFn(filename, options, done);
   }
 
-  // function to call when retrieved template content
-  function done(err, templateText) {
-    callback(err, builtTemplateFromString(templateText, filename, options));
+  function buildTemplateAsync(filename, options) {
+    const getTemplateContentFn = options.getTemplate && typeof options.getTemplate === 'function' ? options.getTemplate
+      : () => {
+        watchFile(filename);
+        return fsPromises.readFile(filename, 'utf8');
+      };
+
+    return Promise.resolve(getTemplateContentFn(filename, options))
+      .then((templateText) => builtTemplateFromStringAsync(templateText, filename, options));
   }
 
-  getTemplateContentFn(filename, options, done);
-}
+  /**
+   * Gets the template content from a file
+   * If callback is passed, it will be called asynchronously.
+   * @param {String} filename The path to the template
+   * @param {Object} options The options sent by express
+   * @param {Function} callback (Optional) The async node style callback
+   */
+  function getTemplateContentFromFile(filename, options, callback) {
+    const isAsync = callback && typeof callback === 'function';
+
+    watchFile(filename);
+
+    // sync
+    if (!isAsync) {
+      return fs.readFileSync(filename, 'utf8');
+    }
 
-function buildTemplateAsync(filename, options) {
-  const getTemplateContentFn = options.getTemplate && typeof options.getTemplate === 'function' ? options.getTemplate
-    : () => fsPromises.readFile(filename, 'utf8');
+    // async
+    fs.readFile(filename, 'utf8', function (err, str) {
+      if (err) {
+        callback(new Error('Failed to open view file (' + filename + ')'));
+        return;
+      }
 
-  return Promise.resolve(getTemplateContentFn(filename, options))
-    .then((templateText) => builtTemplateFromStringAsync(templateText, filename, options));
-}
+      try {
+        callback(null, str);
+      }
+      catch (err) {
+        callback(err);
+      }
+    });
+  }
+  /**
+   * Processes a template string and prepares configuration and sections
+   * @param {String} str The template string
+   * @param {Object} options The options sent by express
+   * @return {Object} An object containing processed data
+   */
+  function processTemplateString(str, options, isAsync) {
+    const source = str;
+    let config = {},
+      configEnd = 0;
+
+    // config at the beginning of the file
+    str.replace(settings.config, function (m, conf, offset) {
+      config = yaml.load(conf);
+      configEnd = offset + m.length;
+    });
 
-/**
- * Gets the template content from a file
- * If callback is passed, it will be called asynchronously.
- * @param {String} filename The path to the template
- * @param {Object} options The options sent by express
- * @param {Function} callback (Optional) The async node style callback
- */
-function getTemplateContentFromFile(filename, options, callback) {
-  const isAsync = callback && typeof callback === 'function';
+    // record the positions of the tags, for the errors
+    if (settings.trackPositions && options.trackPositions !== false) {
+      str = str.slice(0, configEnd) + positions.instrument(str.slice(configEnd), settings.dot, configEnd);
+    }
+
+    // server-side comments, never rendered (the html comments are stripped with stripComment)
+    str = stripServerComments(str);
+
+    // filters of the interpolations
+    str = filters.rewrite(str, settings.dot, _.keys(registry.filters));
+
+    // encode the interpolations
+    if (settings.autoEscape) {
+      str = escape.rewrite(str, settings.dot);
+    }
+
+    // components
+    str = components.compile(str, settings.dot, isAsync);
+
+    // strip comments
+    if (settings.stripComment) {
+      str = str.replace(settings.comment, function (m, code, assign, value) {
+        return '';
+      });
+    }
+
+    // strip whitespace
+    if (settings.stripWhitespace) {
+      settings.dot.strip = settings.stripWhitespace;
+    }
+
+    // layout blocks
+    const extracted = blocks.extract(blocks.declare(str, settings.dot), settings.dot);
+    str = extracted.str;
+
+    // layout sections
+    let sections = {},
+      modes = {},
+      partial = isAsync ? (str) => str.replace(settings.partialAsync, 'await $&') : (str) => str;
+
+    if (!config.layout) {
+      // the yaml config is not part of the output
+      sections.body = partial(configEnd ? str.replace(settings.config, '').replace(/^\r?\n/, '') : str);
+    } else {
+      str.replace(settings.dot.define, function (m, code, assign, value) {
+        sections[code] = partial(value);
+      });
+      _.forEach(extracted.sections, function (value, key) {
+        sections[key] = partial(value);
+      });
+      modes = extracted.modes;
+    }
 
-  // sync
-  if (!isAsync) {
-    return fs.readFileSync(filename, 'utf8');
+    // layout computed from the model, e.g. layout: "[[= model.print ? 'print.dot' : 'master.dot' ]]"
+    if (typeof config.layout === 'string' && new RegExp(settings.dot.interpolate.source).test(config.layout)) {
+      sections[LAYOUT_SECTION] = partial(config.layout);
+    }
+
+    // email subject computed from the model, e.g. subject: "Order [[= model.id ]] shipped"
+    if (typeof config.subject === 'string' && new RegExp(settings.dot.interpolate.source).test(config.subject)) {
+      sections[SUBJECT_SECTION] = partial(config.subject);
+    }
+
+    const templateSettings = _.pick(options, ['settings']);
+    options.getTemplate && (templateSettings.getTemplate = options.getTemplate);
+    templateSettings.cache = options.cache || false;
+
+    return { config, sections, modes, templateSettings, source };
+  }
+
+  /**
+  * Removes the server-side comments of a template string: [[-- not rendered --]]
+  * @param {String} str The template string
+  * @return {String} The template string
+  */
+  function stripServerComments(str) {
+    return settings.dot.serverComment ? str.replace(settings.dot.serverComment, '') : str;
+  }
+
+  /**
+  * Creates the error of a template that failed to build
+  * @param {Error} err The original error
+  * @param {String} filename The path to the template
+  * @return {TemplateError} The error
+  */
+  function toBuildError(err, filename) {
+    return err instanceof TemplateError ?
+      err :
+      new TemplateError(err, { filename: filename, phase: 'build', });
   }
 
-  // async
-  fs.readFile(filename, 'utf8', function (err, str) {
-    if (err) {
-      callback(new Error('Failed to open view file (' + filename + ')'));
-      return;
+  /**
+  * Sets the templates being rendered on an error, if it does not know them yet
+  * (e.g. a partial that failed to build)
+  * @param {Error} err The error
+  * @param {Array} chain The templates being rendered (see TemplateError)
+  * @return {Error} The error
+  */
+  function withChain(err, chain) {
+    if (err instanceof TemplateError && !err.chain) {
+      err.chain = chain;
     }
+    return err;
+  }
 
+  /**
+  * Builds a template from a string
+  * @param {String} str The template string
+  * @param {String} filename The path to the template
+  * @param {Object} options The options sent by express
+  * @return {Template} The template object
+  */
+  function builtTemplateFromString(str, filename, options) {
     try {
-      callback(null, str);
+      const { config, sections, modes, templateSettings, source } = processTemplateString(str, options, false);
+
+      return new Template({
+        express: templateSettings,
+        config: config,
+        sections: sections,
+        modes: modes,
+        source: source,
+        dirname: path.dirname(filename),
+        filename: filename
+      });
+    } catch (err) {
+      throw toBuildError(err, filename);
     }
-    catch (err) {
-      callback(err);
+  }
+
+  /**
+   * Builds an async template from a string
+   * @param {String} str The template string
+   * @param {String} filename The path to the template
+   * @param {Object} options The options sent by express
+   * @return {Promise<Template>} A promise that resolves to the template object
+   */
+  function builtTemplateFromStringAsync(str, filename, options) {
+    try {
+      const { config, sections, modes, templateSettings, source } = processTemplateString(str, options, true);
+
+      const asyncTemplate = new Template({
+        express: templateSettings,
+        config: config,
+        sections: sections,
+        modes: modes,
+        source: source,
+        dirname: path.dirname(filename),
+        filename: filename
+      }, true);
+
+      return asyncTemplate.initAsync().then(() => asyncTemplate);
+    } catch (err) {
+      throw toBuildError(err, filename);
     }
-  });
-}
-/**
- * Processes a template string and prepares configuration and sections
- * @param {String} str The template string
- * @param {Object} options The options sent by express
- * @return {Object} An object containing processed data
- */
-function processTemplateString(str, options, isAsync) {
-  let config = {};
-
-  // config at the beginning of the file
-  str.replace(settings.config, function (m, conf) {
-    config = yaml.load(conf);
-  });
-
-  // strip comments
-  if (settings.stripComment) {
-    str = str.replace(settings.comment, function (m, code, assign, value) {
-      return '';
+  }
+
+  /**
+  * Render a template
+  * @param {String} filename The path to the file
+  * @param {Object} options The model to pass to the view
+  * @param {Function} callback (Optional) The async node style callback
+  */
+  function render(filename, options, callback) {
+    const isAsync = callback && typeof callback === 'function';
+
+    if (!isAsync) {
+      return renderSync(filename, options)
+    }
+
+    const theme = getTheme(options),
+      renderOptions = getRenderOptions(options, theme);
+
+    getTemplate(resolveView(filename, options, renderOptions), options, function (err, template) {
+      if (err) {
+        return callback(err);
+      }
+
+      template.render(renderOptions, function (err, result) {
+        callback(err, err ? result : getOutput(result, renderOptions));
+      });
     });
   }
 
-  // strip whitespace
-  if (settings.stripWhitespace) {
-    settings.dot.strip = settings.stripWhitespace;
+  /**
+  * Renders a template sync
+  * @param {String} filename The path to the file
+  * @param {Object} options The model to pass to the view
+  */
+  function renderSync(filename, options) {
+    const theme = getTheme(options),
+      renderOptions = getRenderOptions(options, theme),
+      template = getTemplate(resolveView(filename, options, renderOptions), options);
+    return getOutput(template.render(renderOptions), renderOptions);
   }
 
-  // layout sections
-  let sections = {},
-    partial = isAsync ? (str) => str.replace(settings.partialAsync, 'await $&') : (str) => str;
 
-  if (!config.layout) {
-    sections.body = partial(str);
-  } else {
-    str.replace(settings.dot.define, function (m, code, assign, value) {
-      sections[code] = partial(value);
-    });
+  /**
+  * Render a template that can contain top level async/await
+  * @param {String} filename The path to the file
+  * @param {Object} options The model to pass to the view
+  */
+  function renderAsync(filename, options) {
+    const theme = getTheme(options),
+      renderOptions = getRenderOptions(options, theme);
+
+    return runAbortable(createAbort(options), (abort) =>
+      getTemplateAsync(resolveView(filename, options, renderOptions), options)
+        .then((template) => template.renderAsync(_.assign({ abort: abort, }, renderOptions)))
+        .then((result) => getOutput(result, renderOptions)));
   }
 
-  const templateSettings = _.pick(options, ['settings']);
-  options.getTemplate && (templateSettings.getTemplate = options.getTemplate);
-  templateSettings.cache = options.cache || false;
+  /**
+  * Render a template (that can contain top level async/await) as a stream.
+  * The master page is flushed up to each layout section as soon as
+  * the section is rendered.
+  * @param {String} filename The path to the file
+  * @param {Object} options The model to pass to the view
+  * @return {Readable} The rendered stream
+  */
+  function renderStream(filename, options) {
+    const token = crypto.randomBytes(8).toString('hex'),
+      placeholderRegex = new RegExp(`<!--dot-section:${token}:(\\d+)-->`),
+      sections = [];
+
+    const deferred = {
+      placeholder: function (section) {
+        // the errors surface when the section is streamed
+        section.catch(_.noop);
+        sections.push(section);
+        return `<!--dot-section:${token}:${sections.length - 1}-->`;
+      }
+    };
+
+    const abort = createAbort(options),
+      theme = getTheme(options),
+      renderOptions = _.assign({ abort: abort, }, getRenderOptions(options, theme)),
+      minifyState = {};
+
+    // the stacks get the content pushed before they are flushed,
+    // the raw elements (<pre>...) can span the chunks
+    async function* flush(text) {
+      let match;
+
+      // layout.super() is not resolved while streaming
+      text = text.split(blocks.SUPER).join('');
+      while ((match = placeholderRegex.exec(text))) {
+        if (match.index) {
+          yield getOutput(text.slice(0, match.index), renderOptions, minifyState);
+        }
+        yield* flush(await guard(sections[match[1]], abort));
+        text = text.slice(match.index + match[0].length);
+      }
+      if (text) {
+        yield getOutput(text, renderOptions, minifyState);
+      }
+    }
 
-  return { config, sections, templateSettings };
-}
+    async function* generate() {
+      try {
+        abort && abort.check();
 
-/**
-* Builds a template from a string
-* @param {String} str The template string
-* @param {String} filename The path to the template
-* @param {Object} options The options sent by express
-* @return {Template} The template object
-*/
-function builtTemplateFromString(str, filename, options) {
-  try {
-    const { config, sections, templateSettings } = processTemplateString(str, options, false);
-
-    return new Template({
-      express: templateSettings,
-      config: config,
-      sections: sections,
-      dirname: path.dirname(filename),
-      filename: filename
-    });
-  } catch (err) {
-    throw new Error(
-      'Failed to build template' +
-      ' (' + filename + ')' +
-      ' - ' + err.toString()
-    );
+        const template = await guard(getTemplateAsync(resolveView(filename, options, renderOptions), options), abort);
+        yield* flush(await guard(template.renderDeferred(renderOptions, deferred), abort));
+      }
+      finally {
+        abort && abort.done();
+      }
+    }
+
+    return Readable.from(generate(), { objectMode: false, });
   }
-}
 
-/**
- * Builds an async template from a string
- * @param {String} str The template string
- * @param {String} filename The path to the template
- * @param {Object} options The options sent by express
- * @return {Promise<Template>} A promise that resolves to the template object
- */
-function builtTemplateFromStringAsync(str, filename, options) {
-  try {
-    const { config, sections, templateSettings } = processTemplateString(str, options, true);
-
-    const asyncTemplate = new Template({
-      express: templateSettings,
-      config: config,
-      sections: sections,
-      dirname: path.dirname(filename),
-      filename: filename
-    }, true);
-
-    return asyncTemplate.initAsync().then(() => asyncTemplate);
-  } catch (err) {
-    throw new Error(`Failed to build template (${filename}) - ${err.toString()}`);
+  /**
+  * Render directly from a string
+  * @param {String} templateString The template string
+  * @param {Object} options The model to pass to the view
+  * @param {Function} callback (Optional) The async node style callback
+  */
+  function renderString(templateString, options, callback) {
+    const renderOptions = getRenderOptions(options),
+      template = builtTemplateFromString(templateString, '', options),
+      done = callback && function (err, result) {
+        callback(err, err ? result : getOutput(result, renderOptions));
+      },
+      result = template.render(renderOptions, done);
+
+    return result === undefined ? result : getOutput(result, renderOptions);
   }
-}
 
-/**
-* Render a template
-* @param {String} filename The path to the file
-* @param {Object} options The model to pass to the view
-* @param {Function} callback (Optional) The async node style callback
-*/
-function render(filename, options, callback) {
-  const isAsync = callback && typeof callback === 'function';
+  /**
+  * Render a template that can contain top level async/await directly from a string
+  * @param {String} templateString The template string
+  * @param {Object} options The model to pass to the view
+  */
+  function renderStringAsync(templateString, options) {
+    const renderOptions = getRenderOptions(options);
+
+    return runAbortable(createAbort(options), (abort) =>
+      builtTemplateFromStringAsync(templateString, '', options)
+        .then((template) => template.renderAsync(_.assign({ abort: abort, }, renderOptions)))
+        .then((result) => getOutput(result, renderOptions)));
+  }
 
-  if (!isAsync) {
-    return renderSync(filename, options)
+  /**
+  * Renders an email (the template can contain top level async/await):
+  * - subject: the yaml subject of the view, computed from the model if it contains interpolations
+  * - html: the rendered HTML, the rules of its <style> blocks inlined (see lib/email.js)
+  * - text: the text section of the view, or the plain text of the HTML
+  * @param {String} filename The path to the file
+  * @param {Object} options The model to pass to the view
+  * @return {Promise<Object>} The email: { subject, html, text }
+  */
+  function renderEmail(filename, options) {
+    const theme = getTheme(options),
+      renderOptions = getRenderOptions(options, theme),
+      rendered = {};
+
+    return runAbortable(createAbort(options), (abort) =>
+      getTemplateAsync(resolveView(filename, options, renderOptions), options)
+        .then((template) => template.renderAsync(_.assign({ abort: abort, email: rendered, }, renderOptions))
+          .then((result) => Promise.all([
+            template.getSubject(rendered.layout, _.assign({ abort: abort, }, renderOptions)),
+            email.inlineStyles(getOutput(result, renderOptions))
+          ])))
+        .then(([subject, html]) => ({
+          subject: subject,
+          html: html,
+          text: _.isNil(rendered.layout.text) ? email.toText(html) : _.trim(rendered.layout.text),
+        })));
   }
 
-  getTemplate(filename, options, function (err, template) {
-    if (err) {
-      return callback(err);
+  /**
+  * Creates the abort control of an async render, from its timeout and signal options.
+  * They are under the _render key of the model, so the fields of the model never change the render.
+  * The control is passed to the layouts and partials with the render options,
+  * it records the templates still rendering to name the pending one in the error.
+  * @param {Object} options The model to pass to the view, with the render options (_render):
+  * {Number} [timeout] The time limit of the render, in ms (ignored if not a positive number)
+  * {AbortSignal} [signal] The signal aborting the render
+  * @return {Object} The abort control, null without timeout and signal
+  */
+  function createAbort(options) {
+    const renderOptions = options && options._render || {},
+      signal = renderOptions.signal,
+      timeout = _.isFinite(renderOptions.timeout) && renderOptions.timeout > 0 ? renderOptions.timeout : 0,
+      pending = [];
+    let timer,
+      reject;
+
+    if (!signal && !timeout) {
+      return null;
     }
 
-    template.render({ model: options, }, callback);
-  });
-}
+    const abort = {
+      error: null,
+      aborted: new Promise((resolve, r) => reject = r),
+      enter: function (filename) {
+        pending.push(filename);
+      },
+      leave: function (filename) {
+        const index = pending.lastIndexOf(filename);
+        index !== -1 && pending.splice(index, 1);
+      },
+      check: function () {
+        if (abort.error) {
+          throw abort.error;
+        }
+      },
+      done: function () {
+        clearTimeout(timer);
+        signal && signal.removeEventListener('abort', onAbort);
+      }
+    };
 
-/**
-* Renders a template sync
-* @param {String} filename The path to the file
-* @param {Object} options The model to pass to the view
-*/
-function renderSync(filename, options) {
-  const template = getTemplate(filename, options);
-  return template.render({ model: options, });
-}
+    // the rejection is handled by the guarded promises
+    abort.aborted.catch(_.noop);
 
+    function fail(err) {
+      if (!abort.error) {
+        abort.error = err;
+        abort.done();
+        reject(err);
+      }
+    }
 
-/**
-* Render a template that can contain top level async/await
-* @param {String} filename The path to the file
-* @param {Object} options The model to pass to the view
-*/
-function renderAsync(filename, options) {
-  return getTemplateAsync(filename, options)
-    .then((template) => template.renderAsync({ model: options, }));
-}
+    function onAbort() {
+      fail(new AbortError(pending.slice(), signal.reason));
+    }
 
-/**
-* Render directly from a string
-* @param {String} templateString The template string
-* @param {Object} options The model to pass to the view
-* @param {Function} callback (Optional) The async node style callback
-*/
-function renderString(templateString, options, callback) {
-  const template = builtTemplateFromString(templateString, '', options);
-  return template.render({ model: options, }, callback);
-}
+    if (signal && signal.aborted) {
+      onAbort();
+    }
+    else {
+      signal && signal.addEventListener('abort', onAbort);
+      timer = timeout && setTimeout(() => fail(new TimeoutError(pending.slice(), timeout)), timeout);
+    }
 
-/**
-* Render a template that can contain top level async/await directly from a string
-* @param {String} templateString The template string
-* @param {Object} options The model to pass to the view
-*/
-function renderStringAsync(templateString, options) {
-  return builtTemplateFromStringAsync(templateString, '', options)
-    .then((template) => template.renderAsync({ model: options, }));
-}
+    return abort;
+  }
 
-/**
- * Async wrapper for Express compatibility
- * @param {String} filename The path to the file
- * @param {Object} options The model to pass to the view
- * @param {Function} callback The Express callback function
- */
-function __expressAsync(filename, options, callback) {
-  renderAsync(filename, options)
-    .then(result => callback(null, result))
-    .catch(err => callback(err));
+  /**
+  * Makes a promise reject as soon as the render is aborted
+  * @param {Promise} promise The promise
+  * @param {Object} abort The abort control (see createAbort), null if not abortable
+  * @return {Promise} The guarded promise
+  */
+  function guard(promise, abort) {
+    return abort ? Promise.race([promise, abort.aborted]) : promise;
+  }
+
+  /**
+  * Runs an abortable async render
+  * @param {Object} abort The abort control (see createAbort), null if not abortable
+  * @param {Function} run Renders with the abort control
+  * @return {Promise<String>} The rendered template
+  */
+  function runAbortable(abort, run) {
+    if (!abort) {
+      return run(null);
+    }
+    if (abort.error) {
+      return Promise.reject(abort.error);
+    }
+
+    return guard(run(abort), abort)
+      .finally(() => abort.done());
+  }
+
+  /**
+   * Async wrapper for Express compatibility
+   * @param {String} filename The path to the file
+   * @param {Object} options The model to pass to the view
+   * @param {Function} callback The Express callback function
+   */
+  function __expressAsync(filename, options, callback) {
+    renderAsync(filename, options)
+      .then(result => callback(null, result))
+      .catch(err => callback(err));
+  }
+
+  /**
+  * Express middleware adding res.renderStream(view, [locals]),
+  * which streams the view (see renderStream) to the response
+  * @return {Function} The middleware
+  */
+  function streamMiddleware() {
+    return function (req, res, next) {
+      res.renderStream = function (name, locals) {
+        const app = req.app,
+          View = app.get('view'),
+          view = new View(name, {
+            defaultEngine: app.get('view engine'),
+            root: app.get('views'),
+            engines: app.engines
+          });
+
+        if (!view.path) {
+          next(new Error(`Failed to lookup view "${name}" in views directory "${view.root}"`));
+          return;
+        }
+
+        // same options as express' res.render
+        const options = _.assign(
+          { cache: app.enabled('view cache'), _locals: res.locals, },
+          app.locals,
+          res.locals,
+          locals
+        );
+
+        if (!res.get('Content-Type')) {
+          res.type('html');
+        }
+
+        renderStream(view.path, options)
+          .on('error', next)
+          .pipe(res);
+      };
+
+      next();
+    };
+  }
+
+  return {
+    __express: render,
+    __expressAsync: __expressAsync,
+    createEngine: createEngine,
+    createLRUCache: createLRUCache,
+    doT: dot,
+    render: render,
+    renderAsync: renderAsync,
+    renderString: renderString,
+    renderStringAsync: renderStringAsync,
+    renderStream: renderStream,
+    renderEmail: renderEmail,
+    streamMiddleware: streamMiddleware,
+    errorOverlay: createErrorOverlay,
+    TemplateError: TemplateError,
+    SandboxError: SandboxError,
+    AbortError: AbortError,
+    TimeoutError: TimeoutError,
+    SafeString: escape.SafeString,
+    raw: escape.raw,
+    cache: cache,
+    asyncCache: asyncCache,
+    settings: settings,
+    invalidate: invalidate,
+    precompile: precompile,
+    loadPrecompiled: loadPrecompiled,
+    exportClient: exportClient,
+    unwatch: unwatch,
+    registerHelper: registerHelper,
+    registerFilter: registerFilter,
+    helper: DotDef.prototype,
+    helperAsync: DotDefAsync.prototype
+  };
 }
 
-module.exports = {
-  __express: render,
-  __expressAsync: __expressAsync,
-  doT: dot,
-  render: render,
-  renderAsync: renderAsync,
-  renderString: renderString,
-  renderStringAsync: renderStringAsync,
-  cache: cache,
-  asyncCache: asyncCache,
-  settings: settings,
-  helper: DotDef.prototype,
-  helperAsync: DotDefAsync.prototype
-};
+module.exports = createEngine();
@@ -0,0 +1,111 @@
+/**
+* Layout blocks.
+* A master declares a block with its default content ([[##block name: ... #]]),
+* the templates using the master (directly or through other layouts) replace it
+* ([[##name: ... #]]), append to it ([[##append name: ... #]]) or prepend to it
+* ([[##prepend name: ... #]]). A replacing section can include the content
+* it replaces with layout.super().
+*
+* The declarations are rendered with markers around their default content,
+* the markers are resolved once the master is rendered (see resolveBlocks).
+*/
+
+/**
+* Marks where the content of the parent goes (see layout.super())
+*/
+const SUPER = '\u0000dot-super\u0000';
+
+/**
+* Replaces the block declarations of a template string with the markers of their default content
+* @param {String} str The template string
+* @param {Object} c The doT settings (the block regexp, none if the settings were replaced)
+* @return {String} The template string
+*/
+function declare(str, c) {
+  if (!c.block) {
+    return str;
+  }
+
+  return str.replace(c.block, function (m, mode, name, value) {
+    return mode === 'block' ?
+      `\u0000dot-block:${name}\u0000${value}\u0000/dot-block\u0000` :
+      m;
+  });
+}
+
+/**
+* Extracts the appending and prepending sections of a template string
+* @param {String} str The template string
+* @param {Object} c The doT settings (the block regexp, none if the settings were replaced)
+* @return {Object} The template string without them, and the sections:
+* {String} str The template string
+* {Object} sections The section strings, by key ('append name' or 'prepend name')
+* {Object} modes The block name and mode of the sections, by key
+*/
+function extract(str, c) {
+  const sections = {},
+    modes = {};
+
+  if (!c.block) {
+    return { str: str, sections: sections, modes: modes };
+  }
+
+  str = str.replace(c.block, function (m, mode, name, value) {
+    if (mode === 'block') {
+      return m;
+    }
+
+    const key = `${mode} ${name}`;
+    sections[key] = value;
+    modes[key] = { name: name, mode: mode, };
+    return '';
+  });
+
+  return { str: str, sections: sections, modes: modes };
+}
+
+/**
+* Resolves the blocks of a rendered master.
+* The function is also serialized in the browser bundles (see lib/client.js),
+* it must not use anything outside of its body.
+* @param {String} html The rendered master
+* @param {Array} operations The block contents of the templates using the master,
+* from the view to the master: { name, mode ('replace', 'append' or 'prepend'), content }
+* @return {String} The rendered master
+*/
+function resolveBlocks(html, operations) {
+  const SUPER = '\u0000dot-super\u0000',
+    block = /\u0000dot-block:([\w$]+)\u0000([\s\S]*?)\u0000\/dot-block\u0000/g;
+
+  const resolved = html.indexOf('\u0000dot-block:') === -1 ? html : html.replace(block, function (m, name, content) {
+    // from the master down to the view, the closest to the view wins
+    (operations || []).slice().reverse().forEach(function (operation) {
+      if (operation.name !== name) {
+        return;
+      }
+
+      const value = String(operation.content);
+      if (operation.mode === 'append') {
+        content += value;
+      }
+      else if (operation.mode === 'prepend') {
+        content = value + content;
+      }
+      else {
+        content = value.split(SUPER).join(content);
+      }
+    });
+
+    return content;
+  });
+
+  // a layout.super() printed outside of a block has no content to print
+  return resolved.split(SUPER).join('');
+}
+
+module.exports = {
+  SUPER: SUPER,
+  declare: declare,
+  extract: extract,
+  resolveBlocks: resolveBlocks
+};
@@ -0,0 +1,140 @@
+/**
+* Cache stores.
+* A store is any object implementing get(key), set(key, value), delete(key)
+* and clear(). Stores may also implement stats().
+*/
+
+/**
+* Creates an unbounded cache store
+* @return {Object} The cache store
+*/
+function createCache() {
+  return {
+    cache: {},
+
+    get: function (key) {
+      return this.cache[key];
+    },
+    set: function (key, value) {
+      this.cache[key] = value;
+    },
+    delete: function (key) {
+      delete this.cache[key];
+    },
+    clear: function () {
+      this.cache = {};
+    }
+  };
+}
+
+/**
+* Creates a least recently used cache store
+* @param {Object} [options] The store options:
+* {Number} [max] The maximum number of entries
+* {Number} [maxSize] The maximum total size of the entries (for templates,
+* the length of the compiled functions)
+* {Number} [ttl] The time to live of an entry, in milliseconds
+* {Function} [sizeOf] Computes the size of an entry, defaults to value.size
+* @return {Object} The cache store
+*/
+function createLRUCache(options) {
+  options = options || {};
+
+  const entries = new Map(),
+    max = options.max || Infinity,
+    maxSize = options.maxSize || Infinity,
+    ttl = options.ttl || 0,
+    sizeOf = typeof options.sizeOf === 'function' ?
+      options.sizeOf :
+      function (value) {
+        return (value && value.size) || 0;
+      };
+
+  let size = 0,
+    hits = 0,
+    misses = 0,
+    evictions = 0;
+
+  function remove(key) {
+    const entry = entries.get(key);
+    if (entry) {
+      size -= entry.size;
+      entries.delete(key);
+    }
+    return entry;
+  }
+
+  function prune() {
+    while (entries.size && (entries.size > max || size > maxSize)) {
+      remove(entries.keys().next().value);
+      evictions++;
+    }
+  }
+
+  return {
+
+    get: function (key) {
+      const entry = entries.get(key);
+
+      if (!entry) {
+        misses++;
+        return undefined;
+      }
+
+      if (entry.expires && entry.expires <= Date.now()) {
+        remove(key);
+        evictions++;
+        misses++;
+        return undefined;
+      }
+
+      // most recently used entries live at the end
+      entries.delete(key);
+      entries.set(key, entry);
+      hits++;
+      return entry.value;
+    },
+
+    set: function (key, value) {
+      remove(key);
+
+      const entry = {
+        value: value,
+        size: sizeOf(value),
+        expires: ttl ? Date.now() + ttl : 0
+      };
+
+      entries.set(key, entry);
+      size += entry.size;
+      prune();
+    },
+
+    delete: function (key) {
+      remove(key);
+    },
+
+    clear: function () {
+      entries.clear();
+      size = 0;
+    },
+
+    /**
+    * Gets the store statistics
+    * @return {Object} hits, misses, evictions, the number of entries and their total size
+    */
+    stats: function () {
+      return {
+        hits: hits,
+        misses: misses,
+        evictions: evictions,
+        entries: entries.size,
+        size: size
+      };
+    }
+  };
+}
+
+module.exports = {
+  createCache: createCache,
+  createLRUCache: createLRUCache
+};
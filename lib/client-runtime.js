@@ -0,0 +1,219 @@
+/**
+* Browser runtime of the exported templates (see lib/client.js).
+* The function is serialized in the exported bundle, it must not use anything
+* outside of its body.
+* @param {Object} templates The templates, by path relative to the views directory:
+* {Object} config The yaml config
+* {Object} sections The compiled section functions, by section name
+* {Object} modes The block operations of the sections (see lib/blocks.js)
+* {Array} helpers The runtime helpers the sections get (see registerHelper)
+* {Object} [names] The templates it uses, by name as it uses them (resolved by the export)
+* @param {Object} [options] The runtime options:
+* {Boolean} [autoEscape] The templates were compiled with settings.autoEscape
+* @param {Object} esc The escape helpers (see createEscapers in lib/escape.js)
+* @param {Function} resolveBlocks Resolves the layout blocks (see lib/blocks.js)
+* @param {Function} createStacks Creates the asset stacks of a render (see lib/stacks.js)
+* @param {Function} createFormatters Creates the formatting helpers of a render (see lib/format.js)
+* @return {Object} The runtime
+*/
+function createRuntime(templates, options, esc, resolveBlocks, createStacks, createFormatters) {
+  const autoEscape = !!(options && options.autoEscape),
+    registry = { helpers: {}, filters: {}, };
+
+  // the output of partials and sections is trusted HTML when auto-escaping
+  function toSafe(html) {
+    return autoEscape ? esc.raw(html) : html;
+  }
+
+  // joins posix paths, resolving the '.' and '..' segments
+  function join() {
+    const segments = [];
+
+    [].slice.call(arguments).join('/').split('/').forEach(function (segment) {
+      if (segment === '..') {
+        segments.pop();
+      } else if (segment && segment !== '.') {
+        segments.push(segment);
+      }
+    });
+
+    return segments.join('/');
+  }
+
+  function dirname(name) {
+    return name.split('/').slice(0, -1).join('/');
+  }
+
+  // the names resolved by the export (extensionless, /root, @namespace),
+  // else relative to the template
+  function resolve(name, templateName) {
+    const names = templates[name] && templates[name].names || {};
+    return Object.prototype.hasOwnProperty.call(names, templateName) ?
+      names[templateName] :
+      join(dirname(name), templateName);
+  }
+
+  function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+  }
+
+  // deep merges plain objects, like the server does for the layout
+  function merge(target) {
+    [].slice.call(arguments, 1).forEach(function (source) {
+      Object.keys(source || {}).forEach(function (key) {
+        target[key] = isPlainObject(source[key]) ?
+          merge(isPlainObject(target[key]) ? target[key] : {}, source[key]) :
+          source[key];
+      });
+    });
+    return target;
+  }
+
+  function getTemplate(name) {
+    const template = templates[name];
+    if (!template) {
+      throw new Error('Template not found (' + name + ')');
+    }
+    return template;
+  }
+
+  function renderTemplate(name, layout, model, locals, assets, slots, operations, master) {
+    const template = getTemplate(name),
+      layoutModel = merge({}, layout, template.config),
+      modes = template.modes || {},
+      own = [];
+
+    layoutModel.super = function () {
+      return toSafe('\u0000dot-super\u0000');
+    };
+
+    function stack(name) {
+      return toSafe(assets.stack(name));
+    }
+
+    // the messages are not exported, t is registered with registerTranslate
+    function translate() {
+      return (registry.translate || String).apply(null, arguments);
+    }
+
+    function args() {
+      return [layoutModel, partial, locals, model, esc, model.cspNonce || locals.cspNonce || '', assets.push, assets.once, stack, slots || {}, component,
+        translate, model.locale || locals.locale, createFormatters(model.locale || locals.locale, model.timeZone || locals.timeZone)]
+        .concat((template.helpers || []).map(function (helper) {
+          return registry.helpers[helper];
+        }), [registry.filters])
+        .concat(autoEscape ? [esc.raw, esc.html] : [], { offset: -1, });
+    }
+
+    // same partial semantic as the server: relative to the template,
+    // the extra objects are merged into the model
+    function partial(partialPath) {
+      const partialModel = arguments.length > 1 ?
+        Object.assign.apply(Object, [{}, model].concat([].slice.call(arguments, 1))) :
+        model;
+
+      return toSafe(renderTemplate(resolve(name, partialPath), layoutModel, partialModel, locals, assets));
+    }
+
+    // same component semantic as the server: the props are the model
+    function component(componentSlots, componentPath, props) {
+      Object.keys(componentSlots).forEach(function (key) {
+        componentSlots[key] = toSafe(componentSlots[key]);
+      });
+
+      return toSafe(renderTemplate(resolve(name, componentPath), layoutModel, props || {}, locals, assets, componentSlots));
+    }
+
+    // same layout semantic as the server: the layout option of the view,
+    // or the yaml layout, computed from the model ('config layout' section)
+    let layoutName = master;
+    if (layoutName === undefined || layoutName === null) {
+      layoutName = template.sections['config layout'] ?
+        String(template.sections['config layout'].apply(null, args())).trim() :
+        template.config.layout;
+    }
+
+    Object.keys(template.sections).forEach(function (key) {
+      if (key === 'config layout' || key === 'config subject') {
+        return;
+      }
+
+      try {
+        const content = toSafe(template.sections[key].apply(null, args()));
+        if (!modes[key]) {
+          layoutModel[key] = content;
+          own.push({ name: key, mode: 'replace', content: content, });
+        }
+        else {
+          own.unshift({ name: modes[key].name, mode: modes[key].mode, content: content, });
+        }
+      }
+      catch (err) {
+        throw new Error('Failed to render with doT (' + name + ', section \'' + key + '\') - ' + err);
+      }
+    });
+
+    // same block semantic as the server: from the view to the master
+    operations = (operations || []).concat(own);
+
+    if (!layoutName) {
+      const body = layoutModel.body === undefined || layoutModel.body === null ? '' : layoutModel.body;
+      return toSafe(resolveBlocks(String(body), operations));
+    }
+
+    return renderTemplate(resolve(name, layoutName), layoutModel, model, locals, assets, null, operations);
+  }
+
+  return {
+    templates: templates,
+    raw: esc.raw,
+
+    /**
+    * Registers a runtime helper, the templates were exported with its name
+    * @param {String} name The helper name
+    * @param {*} helper The helper
+    */
+    registerHelper: function (name, helper) {
+      registry.helpers[name] = helper;
+    },
+
+    /**
+    * Registers the translate function of the templates (t)
+    * @param {Function} translate The function: translate(key, params)
+    */
+    registerTranslate: function (translate) {
+      registry.translate = translate;
+    },
+
+    /**
+    * Registers a filter, the templates were exported with its name
+    * @param {String} name The filter name
+    * @param {Function} filter The filter
+    */
+    registerFilter: function (name, filter) {
+      registry.filters[name] = filter;
+    },
+
+    /**
+    * Renders a template
+    * @param {String} name The path to the template, relative to the views directory
+    * @param {Object} [model] The model to pass to the view
+    * @param {Object} [locals] The locals to pass to the view
+    * @return {String} The rendered template
+    */
+    render: function (name, model, locals) {
+      model = model || {};
+      locals = locals || {};
+
+      // the layout option of the view: model.layout or locals.layout (false for none, other values are ignored)
+      const master = [model.layout, locals.layout].filter(function (layout) {
+          return typeof layout === 'string' || layout === false;
+        })[0],
+        assets = createStacks(),
+        html = renderTemplate(name, {}, model, locals, assets, null, [], master);
+      return assets.resolve(html);
+    }
+  };
+}
+
+module.exports = createRuntime;
@@ -0,0 +1,130 @@
+const path = require('path');
+const createRuntime = require('./client-runtime');
+const { createEscapers } = require('./escape');
+const { resolveBlocks } = require('./blocks');
+const { createStacks } = require('./stacks');
+const { createFormatters } = require('./format');
+
+/**
+* Partial calls with a literal path, e.g. partial('partials/card.dot', ...)
+*/
+const partialCall = /\bpartial\s*\(\s*(['"])([^'"]+)\1/g;
+
+/**
+* Components with a literal path, e.g. [[@ 'components/card.dot', ... ]]
+*/
+const componentCall = /\[\[@\s*(['"])([^'"]+)\1/g;
+
+/**
+* Gets the templates used by a template (its layout, its partials and its components)
+* @param {String} source The template string
+* @param {Object} config The yaml config of the template
+* @return {Array} The template names, as the template uses them (resolved with lib/resolver.js)
+*/
+function getDependencies(source, config) {
+  const result = [];
+
+  if (config.layout) {
+    result.push(config.layout);
+  }
+
+  [partialCall, componentCall].forEach(function (call) {
+    source.replace(call, function (m, quote, partialPath) {
+      result.push(partialPath);
+    });
+  });
+
+  return result;
+}
+
+/**
+* Gets the path of a template, relative to the views directory, as the browser runtime names it
+* @param {String} root The views directory
+* @param {String} filename The path to the template
+* @return {String} The posix path
+*/
+function getName(root, filename) {
+  return path.relative(root, filename).split(path.sep).join('/');
+}
+
+/**
+* Serializes the templates for the browser
+* @param {Object} templates The templates, by path relative to the views directory:
+* {Object} config The yaml config
+* {Object} sections The compiled section functions, by section name
+* {Object} [modes] The block operations of the sections (see lib/blocks.js)
+* {Array} [helpers] The runtime helpers the sections get (see registerHelper of the runtime)
+* {Object} [names] The templates it uses, by name as it uses them (see getDependencies)
+* @return {String} The javascript object
+*/
+function serializeTemplates(templates) {
+  return '{\n' +
+    Object.keys(templates)
+      .map(function (name) {
+        const sections = templates[name].sections;
+
+        return `  ${JSON.stringify(name)}: {\n` +
+          `    config: ${JSON.stringify(templates[name].config)},\n` +
+          `    modes: ${JSON.stringify(templates[name].modes || {})},\n` +
+          `    helpers: ${JSON.stringify(templates[name].helpers || [])},\n` +
+          `    names: ${JSON.stringify(templates[name].names || {})},\n` +
+          '    sections: {\n' +
+          Object.keys(sections)
+            .map((key) => `      ${JSON.stringify(key)}: ${sections[key].toString()}`)
+            .join(',\n') +
+          '\n    }\n' +
+          '  }';
+      })
+      .join(',\n') +
+    '\n}';
+}
+
+/**
+* Creates the browser bundle of templates, with the runtime
+* @param {Object} templates The templates (see serializeTemplates)
+* @param {Object} [options] The bundle options:
+* {String} [format] 'esm' (default) or 'umd'
+* {String} [name] The global name of the umd bundle, defaults to 'dotTemplates'
+* {Boolean} [autoEscape] The templates were compiled with settings.autoEscape
+* @return {String} The javascript bundle
+*/
+function bundle(templates, options) {
+  options = options || {};
+
+  const header = '// Exported by express-dot-engine, do not edit\n/* eslint-disable */\n',
+    body = `const templates = ${serializeTemplates(templates)};\n\n` +
+      `${createEscapers.toString()}\n\n` +
+      `${resolveBlocks.toString()}\n\n` +
+      `${createStacks.toString()}\n\n` +
+      `${createFormatters.toString()}\n\n` +
+      `${createRuntime.toString()}\n\n`,
+    runtimeOptions = JSON.stringify({ autoEscape: !!options.autoEscape, });
+
+  if (options.format === 'umd') {
+    return header +
+      '(function (root, factory) {\n' +
+      '  if (typeof define === \'function\' && define.amd) {\n' +
+      '    define([], factory);\n' +
+      '  } else if (typeof module === \'object\' && module.exports) {\n' +
+      '    module.exports = factory();\n' +
+      '  } else {\n' +
+      `    root[${JSON.stringify(options.name || 'dotTemplates')}] = factory();\n` +
+      '  }\n' +
+      '}(typeof self !== \'undefined\' ? self : this, function () {\n' +
+      body +
+      `return createRuntime(templates, ${runtimeOptions}, createEscapers(), resolveBlocks, createStacks, createFormatters);\n` +
+      '}));\n';
+  }
+
+  return header +
+    body +
+    `const runtime = createRuntime(templates, ${runtimeOptions}, createEscapers(), resolveBlocks, createStacks, createFormatters);\n` +
+    'export const render = runtime.render;\n' +
+    'export default runtime;\n';
+}
+
+module.exports = {
+  getDependencies: getDependencies,
+  getName: getName,
+  bundle: bundle
+};
@@ -0,0 +1,80 @@
+const { TRACKER } = require('./positions');
+
+/**
+* Name of the component function passed to the template functions
+*/
+const COMPONENT = '__dotComponent';
+
+/**
+* Name of the slots passed to the template functions (slot.default, slot.footer...)
+*/
+const SLOT = 'slot';
+
+/**
+* Compiles the components of a template string.
+* A component is a partial called with props and slots:
+* [[@ 'card.dot', { title: model.title } ]] default slot [[@slot footer]] footer slot [[@]]
+* The slots are rendered by the caller, in its scope: the tags capture the output
+* of their content, then the component is rendered with the captured slots.
+* The template can be instrumented (see lib/positions.js).
+* @param {String} str The template string
+* @param {Object} c The doT settings (the component regexp, none if the settings were replaced)
+* @param {Boolean} [isAsync] The template is async, the components are awaited
+* @return {String} The template string
+*/
+function compile(str, c, isAsync) {
+  if (!c.component) {
+    return str;
+  }
+
+  const tracked = new RegExp(`^\\((${TRACKER}\\.offset=\\d+,)([\\s\\S]*)\\)$`),
+    open = [];
+  let count = 0;
+
+  str = str.replace(c.component, function (m, code) {
+    const slot = /^slot\s+([\w$]+)$/.exec(code),
+      component = open[open.length - 1];
+
+    // opening tag, the code is the arguments of the component (path and props)
+    if (code && !slot) {
+      count += 1;
+      open.push({ id: count, code: code, slot: 'default', });
+      return `[[ var __dotOut${count} = out, __dotSlots${count} = {}; out = ''; ]]`;
+    }
+
+    if (!component) {
+      throw new Error(`Unexpected component tag (${m})`);
+    }
+
+    const capture = `__dotSlots${component.id}[${JSON.stringify(component.slot)}] = out; out = '';`;
+
+    // slot tag, the next slot starts
+    if (slot) {
+      component.slot = slot[1];
+      return `[[ ${capture} ]]`;
+    }
+
+    // closing tag, the component is rendered
+    open.pop();
+
+    const position = tracked.exec(component.code),
+      call = `${isAsync ? 'await ' : ''}${COMPONENT}(__dotSlots${component.id}, ${position ? position[2] : component.code})`;
+
+    return `[[ ${capture} out = __dotOut${component.id}; ]]` +
+      `[[= ${position ? `(${position[1]}${call})` : call} ]]`;
+  });
+
+  if (open.length) {
+    const code = open[open.length - 1].code,
+      position = tracked.exec(code);
+    throw new Error(`Unclosed component (${position ? position[2] : code})`);
+  }
+
+  return str;
+}
+
+module.exports = {
+  COMPONENT: COMPONENT,
+  SLOT: SLOT,
+  compile: compile
+};
@@ -0,0 +1,20 @@
+/**
+* Opening <script> and <style> tags without a nonce attribute
+*/
+const unsignedTag = /<(script|style)\b(?![^>]*\snonce\s*=)/gi;
+
+/**
+* Adds a csp nonce to the <script> and <style> tags of a rendered template
+* (the tags having a nonce are left as they are)
+* @param {String} html The rendered template
+* @param {String} nonce The nonce
+* @return {String} The rendered template
+*/
+function addNonce(html, nonce) {
+  const attribute = ` nonce="${String(nonce).replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`;
+  return html.replace(unsignedTag, (m) => m + attribute);
+}
+
+module.exports = {
+  addNonce: addNonce
+};
@@ -0,0 +1,479 @@
+/**
+* Email post-processing.
+* Most email clients drop the <style> blocks, so their rules are inlined in the
+* style attributes of the elements they match (see inlineStyles). The rules that
+* cannot be inlined (media queries, pseudo-classes...) stay in the <style> blocks.
+* The plain-text alternative is generated from the HTML (see toText).
+*/
+
+/**
+* Elements without content, they have no closing tag
+*/
+const VOID_ELEMENTS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'];
+
+/**
+* Elements with raw text content, their content is not parsed
+*/
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'textarea', 'title'];
+
+/**
+* Elements the styles are not inlined in
+*/
+const UNSTYLED_ELEMENTS = ['html', 'head', 'base', 'link', 'meta', 'script', 'style', 'title'];
+
+/**
+* Entities decoded in the plain text
+*/
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', euro: '€',
+};
+
+/**
+* Splits a string on a separator, outside of quotes and parentheses (e.g. url(data:...;base64))
+* @param {String} str The string
+* @param {String} separator The separator character
+* @return {Array} The parts
+*/
+function split(str, separator) {
+  const parts = [];
+  let depth = 0,
+    quote = null,
+    start = 0;
+
+  for (let i = 0; i < str.length; i++) {
+    const char = str[i];
+
+    if (quote) {
+      quote = char === quote ? null : quote;
+    }
+    else if (char === '"' || char === '\'') {
+      quote = char;
+    }
+    else if (char === '(') {
+      depth++;
+    }
+    else if (char === ')') {
+      depth--;
+    }
+    else if (char === separator && !depth) {
+      parts.push(str.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(str.slice(start));
+  return parts;
+}
+
+/**
+* Parses CSS declarations: 'color: red; margin: 0 !important'
+* @param {String} css The declarations
+* @return {Array} The declarations: { property, value, important }
+*/
+function parseDeclarations(css) {
+  return split(css, ';')
+    .map(function (declaration) {
+      const colon = declaration.indexOf(':');
+      if (colon === -1) {
+        return null;
+      }
+
+      const value = declaration.slice(colon + 1).trim(),
+        important = /\s*!important$/i.exec(value);
+
+      return {
+        property: declaration.slice(0, colon).trim().toLowerCase(),
+        value: important ? value.slice(0, important.index) : value,
+        important: !!important
+      };
+    })
+    .filter((declaration) => declaration && declaration.property && declaration.value);
+}
+
+/**
+* Parses a selector, the simple selectors and the descendant and child combinators only
+* @param {String} selector The selector: 'table.content > tr td[align=left]'
+* @return {Object} The selector: { parts (compounds and combinators), specificity }, null if it cannot be inlined
+*/
+function parseSelector(selector) {
+  const compound = /^(\*|[a-zA-Z][\w-]*)?((?:[.#][\w-]+|\[\s*[\w-]+\s*(?:=\s*(?:"[^"]*"|'[^']*'|[^\]\s]+)\s*)?\])*)$/,
+    filter = /([.#])([\w-]+)|\[\s*([\w-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*)?\]/g,
+    specificity = [0, 0, 0],
+    parts = [];
+
+  const tokens = selector.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i] === '>') {
+      if (!i || tokens[i + 1] === '>' || i === tokens.length - 1) {
+        return null;
+      }
+      parts[parts.length - 1] = '>';
+      continue;
+    }
+
+    const match = compound.exec(tokens[i]);
+    if (!match || !tokens[i]) {
+      return null;
+    }
+
+    const part = { tag: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null, ids: [], classes: [], attributes: [], };
+    let m;
+    while ((m = filter.exec(match[2]))) {
+      if (m[1] === '#') {
+        part.ids.push(m[2]);
+      }
+      else if (m[1] === '.') {
+        part.classes.push(m[2]);
+      }
+      else {
+        part.attributes.push({ name: m[3].toLowerCase(), value: m[4] !== undefined ? m[4] : m[5] !== undefined ? m[5] : m[6], });
+      }
+    }
+
+    specificity[0] += part.ids.length;
+    specificity[1] += part.classes.length + part.attributes.length;
+    specificity[2] += part.tag ? 1 : 0;
+    parts.push(part, ' ');
+  }
+
+  parts.pop();
+  return parts.length ? { parts: parts, specificity: specificity, } : null;
+}
+
+/**
+* Parses a stylesheet
+* @param {String} css The stylesheet
+* @return {Array} The rules: { selectors, declarations } or { text } for the at-rules
+*/
+function parseRules(css) {
+  const rules = [];
+  let pos = 0;
+
+  css = css.replace(/\/\*[\s\S]*?\*\//g, '');
+
+  while (pos < css.length) {
+    const open = css.indexOf('{', pos),
+      semicolon = css.indexOf(';', pos);
+
+    if (open === -1) {
+      break;
+    }
+
+    // at-rules without block (@import, @charset)
+    if (/^\s*@/.test(css.slice(pos, open)) && semicolon !== -1 && semicolon < open) {
+      rules.push({ text: css.slice(pos, semicolon + 1).trim(), });
+      pos = semicolon + 1;
+      continue;
+    }
+
+    // the block, nested blocks included (@media)
+    let close = open,
+      depth = 0;
+    for (; close < css.length; close++) {
+      depth += css[close] === '{' ? 1 : css[close] === '}' ? -1 : 0;
+      if (!depth) {
+        break;
+      }
+    }
+
+    const prelude = css.slice(pos, open).trim();
+    if (prelude[0] === '@') {
+      rules.push({ text: css.slice(pos, close + 1).trim(), });
+    }
+    else if (prelude) {
+      rules.push({ selectors: split(prelude, ',').map((s) => s.trim()), declarations: css.slice(open + 1, close), });
+    }
+    pos = close + 1;
+  }
+
+  return rules;
+}
+
+/**
+* Parses the attributes of a start tag
+* @param {String} str The attributes
+* @return {Object} The attributes, by lowercase name
+*/
+function parseAttributes(str) {
+  const regex = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,
+    attributes = {};
+  let m;
+
+  while ((m = regex.exec(str || ''))) {
+    attributes[m[1].toLowerCase()] = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : '';
+  }
+  return attributes;
+}
+
+/**
+* Parses the elements of an HTML document
+* @param {String} html The HTML
+* @return {Array} The elements: { tag, attributes, parent, start, end (of the start tag) }
+*/
+function parseElements(html) {
+  const regex = /<!--[\s\S]*?-->|<([a-zA-Z][\w-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)\s*(\/?)>|<\/([a-zA-Z][\w-]*)\s*>/g,
+    elements = [],
+    open = [];
+  let m;
+
+  while ((m = regex.exec(html))) {
+    // closing tag, the elements left open inside are closed too
+    if (m[4]) {
+      const tag = m[4].toLowerCase();
+      for (let i = open.length - 1; i >= 0; i--) {
+        if (open[i].tag === tag) {
+          open.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+    if (!m[1]) {
+      continue;
+    }
+
+    const tag = m[1].toLowerCase(),
+      element = {
+        tag: tag,
+        attributes: parseAttributes(m[2]),
+        parent: open[open.length - 1] || null,
+        start: m.index,
+        end: regex.lastIndex,
+      };
+    elements.push(element);
+
+    if (RAW_TEXT_ELEMENTS.indexOf(tag) !== -1) {
+      const close = html.slice(regex.lastIndex).search(new RegExp(`</${tag}\\s*>`, 'i'));
+      element.content = html.slice(regex.lastIndex, close === -1 ? html.length : regex.lastIndex + close);
+      regex.lastIndex += element.content.length;
+    }
+    else if (!m[3] && VOID_ELEMENTS.indexOf(tag) === -1) {
+      open.push(element);
+    }
+  }
+
+  return elements;
+}
+
+/**
+* Checks if an element matches a selector, from one of its parts (right to left)
+* @param {Object} element The element (see parseElements)
+* @param {Array} parts The parts of the selector (see parseSelector)
+* @param {Number} index The index of the compound to match
+* @return {Boolean} True if it matches
+*/
+function matches(element, parts, index) {
+  const part = parts[index],
+    classes = (element.attributes.class || '').split(/\s+/);
+
+  if ((part.tag && part.tag !== element.tag) ||
+    part.ids.some((id) => element.attributes.id !== id) ||
+    part.classes.some((name) => classes.indexOf(name) === -1) ||
+    part.attributes.some((attribute) => !element.attributes.hasOwnProperty(attribute.name) ||
+      (attribute.value !== undefined && element.attributes[attribute.name] !== attribute.value))) {
+    return false;
+  }
+  if (!index) {
+    return true;
+  }
+  if (parts[index - 1] === '>') {
+    return !!element.parent && matches(element.parent, parts, index - 2);
+  }
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if (matches(parent, parts, index - 2)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+* Inlines the <style> blocks of an HTML document in the style attributes of the elements.
+* The inline styles win over the rules, unless the rules are !important.
+* The rules that cannot be inlined stay in their <style> block, the blocks with
+* a data-embed attribute are left as they are.
+* @param {String} html The HTML
+* @return {String} The HTML
+*/
+function inlineStyles(html) {
+  const elements = parseElements(html),
+    sheets = elements.filter((element) => element.tag === 'style' && !element.attributes.hasOwnProperty('data-embed')),
+    rules = [];
+
+  if (!sheets.length) {
+    return html;
+  }
+
+  // the rules to inline, and the rules left in the sheets
+  sheets.forEach(function (sheet) {
+    sheet.kept = [];
+
+    parseRules(sheet.content).forEach(function (rule) {
+      if (rule.text) {
+        sheet.kept.push(rule.text);
+        return;
+      }
+
+      const declarations = parseDeclarations(rule.declarations),
+        others = rule.selectors.filter(function (text) {
+          const selector = parseSelector(text);
+          if (selector) {
+            rules.push({ selector: selector, declarations: declarations, });
+          }
+          return !selector;
+        });
+
+      if (others.length) {
+        sheet.kept.push(`${others.join(', ')} {${rule.declarations}}`);
+      }
+    });
+  });
+
+  // the styles of the elements, by priority: !important, inline, specificity, then order
+  const edits = [];
+
+  elements.forEach(function (element) {
+    if (UNSTYLED_ELEMENTS.indexOf(element.tag) !== -1 || hasParent(element, 'head')) {
+      return;
+    }
+
+    const applied = [];
+    rules.forEach(function (rule, order) {
+      if (matches(element, rule.selector.parts, rule.selector.parts.length - 1)) {
+        rule.declarations.forEach(function (declaration) {
+          applied.push({ declaration: declaration, priority: [declaration.important ? 1 : 0, 0].concat(rule.selector.specificity, order), });
+        });
+      }
+    });
+
+    if (!applied.length) {
+      return;
+    }
+
+    parseDeclarations((element.attributes.style || '').replace(/&quot;/g, '"')).forEach(function (declaration) {
+      applied.push({ declaration: declaration, priority: [declaration.important ? 1 : 0, 1, 0, 0, 0, 0], });
+    });
+
+    const styles = {};
+    applied
+      .sort(function (a, b) {
+        for (let i = 0; i < a.priority.length; i++) {
+          if (a.priority[i] !== b.priority[i]) {
+            return a.priority[i] - b.priority[i];
+          }
+        }
+        return 0;
+      })
+      .forEach(function (item) {
+        delete styles[item.declaration.property];
+        styles[item.declaration.property] = item.declaration.value + (item.declaration.important ? ' !important' : '');
+      });
+
+    const style = Object.keys(styles).map((property) => `${property}: ${styles[property]}`).join('; ').replace(/"/g, '&quot;'),
+      tag = html.slice(element.start, element.end),
+      attribute = /(\sstyle\s*=\s*)("[^"]*"|'[^']*'|[^\s>]+)/i;
+
+    edits.push({
+      start: element.start,
+      end: element.end,
+      text: attribute.test(tag) ?
+        tag.replace(attribute, ` style="${style}"`) :
+        tag.replace(/^<[\w-]+/, (m) => `${m} style="${style}"`),
+    });
+  });
+
+  // the sheets left, the empty ones are removed
+  sheets.forEach(function (sheet) {
+    const close = /^<\/style\s*>/i.exec(html.slice(sheet.end + sheet.content.length));
+
+    edits.push(sheet.kept.length ?
+      { start: sheet.end, end: sheet.end + sheet.content.length, text: '\n' + sheet.kept.join('\n') + '\n', } :
+      { start: sheet.start, end: sheet.end + sheet.content.length + (close ? close[0].length : 0), text: '', });
+  });
+
+  let result = '',
+    last = 0;
+
+  edits
+    .sort((a, b) => a.start - b.start)
+    .forEach(function (edit) {
+      result += html.slice(last, edit.start) + edit.text;
+      last = edit.end;
+    });
+
+  return result + html.slice(last);
+}
+
+/**
+* Checks if an element is inside an element of a tag
+* @param {Object} element The element (see parseElements)
+* @param {String} tag The tag of the parent
+* @return {Boolean} True if it is
+*/
+function hasParent(element, tag) {
+  for (let parent = element.parent; parent; parent = parent.parent) {
+    if (parent.tag === tag) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+* Decodes the entities of a text
+* @param {String} text The text
+* @return {String} The decoded text
+*/
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);/gi, function (m, entity) {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1)));
+    }
+    return ENTITIES.hasOwnProperty(entity.toLowerCase()) ? ENTITIES[entity.toLowerCase()] : m;
+  });
+}
+
+/**
+* Converts an HTML document to readable plain text: the paragraphs, lines, list items
+* and table rows are kept, the links are followed by their URL, the images are replaced
+* by their alt text
+* @param {String} html The HTML
+* @return {String} The plain text
+*/
+function toText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|title)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<img\b([^>]*)>/gi, (m, attributes) => parseAttributes(attributes).alt || '')
+    .replace(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi, function (m, attributes, content) {
+      const href = parseAttributes(attributes).href,
+        label = content.replace(/<[^>]*>/g, '').trim();
+
+      if (!href || href[0] === '#' || decodeEntities(label) === decodeEntities(href).replace(/^mailto:/, '')) {
+        return content;
+      }
+      return label ? `${content} (${href})` : href;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<hr\b[^>]*>/gi, '\n\n---\n\n')
+    .replace(/<\/?(p|h[1-6]|ul|ol|table|blockquote|pre)\b[^>]*>/gi, '\n\n')
+    .replace(/<\/?(div|tr|header|footer|section|article|address)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+
+  return decodeEntities(text)
+    .split('\n')
+    .map((line) => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+module.exports = {
+  inlineStyles: inlineStyles,
+  toText: toText
+};
@@ -0,0 +1,149 @@
+const { locate, codeFrame } = require('./positions');
+
+/**
+* Error thrown when a template fails to build or to render.
+* It points at the failing tag in the original template file.
+*/
+class TemplateError extends Error {
+
+  /**
+  * @param {Error} cause The original error
+  * @param {Object} location Where the error happened:
+  * {String} filename The path to the template
+  * {String} [section] The section name ('body' or the [[##name: define)
+  * {String} [source] The template file content
+  * {Number} [offset] The offset of the failing tag in the template file
+  * {String} [phase] 'build' when the template failed to build, 'render' by default
+  */
+  constructor(cause, location) {
+    const template = describe(location),
+      phase = location.phase || 'render',
+      frame = template.line ?
+        codeFrame(location.source, template.line, template.column) :
+        '',
+      where = template.filename +
+        (template.line ? `:${template.line}:${template.column}` : '') +
+        (template.section ? `, section '${template.section}'` : '');
+
+    super(
+      (phase === 'build' ? 'Failed to build template' : 'Failed to render with doT') +
+      ` (${where}) - ${String(cause)}` +
+      (frame ? `\n\n${frame}\n` : '')
+    );
+
+    this.name = 'TemplateError';
+    this.phase = phase;
+    this.cause = cause;
+    this.filename = template.filename;
+    this.section = template.section;
+    this.line = template.line;
+    this.column = template.column;
+    this.frame = frame;
+
+    // the templates the error went through, from the failing one to the rendered view
+    this.templates = [template];
+
+    // the templates being rendered, from the view to the failing one
+    // e.g. [{ filename: 'index.dot', type: 'view' }, { filename: 'master.dot', type: 'layout' }]
+    this.chain = null;
+
+    // the model keys available to the failing template
+    this.modelKeys = null;
+  }
+
+  /**
+  * Adds a template the error went through (e.g. the view rendering a failing partial)
+  * @param {Object} location Where the template was rendering (see constructor)
+  */
+  addTemplate(location) {
+    this.templates.push(describe(location));
+  }
+}
+
+/**
+* Error of a template breaking the rules of the sandbox (see lib/sandbox.js).
+* It is the cause of the TemplateError locating the template.
+*/
+class SandboxError extends Error {
+
+  /**
+  * @param {String} violation The broken rule:
+  * 'compile-time' a compile-time tag ([[# ]] or [[##name= ]])
+  * 'global' a node global (e.g. require or process)
+  * 'timeout' the time limit of a section
+  * 'output' the output limit of a section
+  * 'async' an async template
+  * @param {String} message The error message
+  */
+  constructor(violation, message) {
+    super(message);
+
+    this.name = 'SandboxError';
+    this.violation = violation;
+  }
+}
+
+/**
+* Error of an async render aborted with its signal (see renderAsync).
+* It names the template that was still pending.
+*/
+class AbortError extends Error {
+
+  /**
+  * @param {Array} pending The templates still rendering, from the view to the innermost one
+  * @param {*} [reason] The abort reason of the signal
+  * @param {String} [message] The error message
+  */
+  constructor(pending, reason, message) {
+    const filename = pending.length ? pending[pending.length - 1] : null;
+
+    super((message || 'Render aborted') + (filename ? ` (pending: ${filename})` : ''));
+
+    this.name = 'AbortError';
+    this.filename = filename;
+    this.pending = pending;
+    this.cause = reason;
+  }
+}
+
+/**
+* Error of an async render that exceeded its timeout (see renderAsync)
+*/
+class TimeoutError extends AbortError {
+
+  /**
+  * @param {Array} pending The templates still rendering (see AbortError)
+  * @param {Number} timeout The timeout, in ms
+  */
+  constructor(pending, timeout) {
+    super(pending, undefined, `Render timed out after ${timeout}ms`);
+
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+* Describes where an error happened
+* @param {Object} location The location (see TemplateError)
+* @return {Object} The filename, section, line and column (null if unknown)
+*/
+function describe(location) {
+  const position = location.source && location.offset >= 0 ?
+    locate(location.source, location.offset) :
+    null;
+
+  return {
+    filename: location.filename,
+    section: location.section || null,
+    line: position ? position.line : null,
+    column: position ? position.column : null
+  };
+}
+
+module.exports = {
+  TemplateError: TemplateError,
+  SandboxError: SandboxError,
+  AbortError: AbortError,
+  TimeoutError: TimeoutError
+};
@@ -0,0 +1,124 @@
+const { TRACKER } = require('./positions');
+
+/**
+* Name of the escape function passed to the template functions (if settings.autoEscape is true)
+*/
+const ESCAPE = '__dotEscape';
+
+/**
+* Name of the context-aware escape helpers passed to the template functions
+*/
+const HELPERS = 'esc';
+
+/**
+* Creates the escape helpers.
+* The function is also serialized in the browser bundles (see lib/client.js),
+* it must not use anything outside of its body.
+* @return {Object} The helpers:
+* {Function} SafeString Trusted HTML, printed as is by [[= ]] when auto-escaping.
+* It is a String object, so the string methods work on it (e.g. layout.body.trim()).
+* {Function} raw Marks a value as trusted HTML
+* {Function} html Encodes a value for HTML (element content), unless it is trusted HTML
+* {Function} attr Encodes a value for an HTML attribute, quoted or not
+* {Function} url Encodes a value for a URL component (path segment, query value)
+* {Function} json Serializes a value for an inline <script> (no </script> breakout)
+* {Function} css Encodes a value for a CSS string or identifier
+*/
+function createEscapers() {
+  const encodeHTMLRules = { '&': '&#38;', '<': '&#60;', '>': '&#62;', '"': '&#34;', '\'': '&#39;', '/': '&#47;', },
+    encodeJSONRules = { '<': '\\u003c', '>': '\\u003e', '&': '\\u0026', '\u2028': '\\u2028', '\u2029': '\\u2029', };
+
+  class SafeString extends String {}
+
+  function isEmpty(value) {
+    return value === undefined || value === null;
+  }
+
+  function hex(char) {
+    return char.codePointAt(0).toString(16);
+  }
+
+  function raw(value) {
+    return value instanceof SafeString ? value : new SafeString(isEmpty(value) ? '' : value);
+  }
+
+  // the entities already encoded are skipped, like doT's encodeHTML
+  function html(value) {
+    if (value instanceof SafeString) {
+      return value.toString();
+    }
+    return isEmpty(value) ? '' : String(value).replace(/&(?!#?\w+;)|<|>|"|'|\//g, function (m) {
+      return encodeHTMLRules[m];
+    });
+  }
+
+  return {
+    SafeString: SafeString,
+    raw: raw,
+    html: html,
+
+    attr: function (value) {
+      return raw(isEmpty(value) ? '' : String(value).replace(/[^\w,.-]/gu, function (m) {
+        return '&#x' + hex(m) + ';';
+      }));
+    },
+
+    url: function (value) {
+      return raw(isEmpty(value) ? '' : encodeURIComponent(value).replace(/[!'()*]/g, function (m) {
+        return '%' + hex(m).toUpperCase();
+      }));
+    },
+
+    json: function (value) {
+      const str = JSON.stringify(value);
+      return raw(str === undefined ? 'undefined' : str.replace(/[<>&\u2028\u2029]/g, function (m) {
+        return encodeJSONRules[m];
+      }));
+    },
+
+    css: function (value) {
+      return raw(isEmpty(value) ? '' : String(value).replace(/[^a-zA-Z0-9]/gu, function (m) {
+        return '\\' + hex(m) + ' ';
+      }));
+    }
+  };
+}
+
+/**
+* The escape helpers of the server
+*/
+const helpers = createEscapers();
+
+/**
+* Makes the interpolations of a template escaped: [[= code ]] becomes [[= __dotEscape(code) ]]
+* and the raw ones ([[== code ]]) become plain interpolations.
+* The template can be instrumented (see lib/positions.js).
+* @param {String} str The template string
+* @param {Object} c The doT settings (the tags regexps)
+* @return {String} The template string
+*/
+function rewrite(str, c) {
+  const tracked = new RegExp(`^\\((${TRACKER}\\.offset=\\d+,)([\\s\\S]*)\\)$`);
+
+  return str.replace(c.interpolate, function (m, code) {
+    const start = m.indexOf(code),
+      position = tracked.exec(code),
+      value = position ? position[2] : code,
+      output = /^\s*=/.test(value) ? value.replace(/^\s*=/, '') : `${ESCAPE}(${value})`;
+
+    return m.slice(0, start) +
+      (position ? `(${position[1]}${output})` : output) +
+      m.slice(start + code.length);
+  });
+}
+
+module.exports = {
+  ESCAPE: ESCAPE,
+  HELPERS: HELPERS,
+  createEscapers: createEscapers,
+  helpers: helpers,
+  SafeString: helpers.SafeString,
+  raw: helpers.raw,
+  escapeHTML: helpers.html,
+  rewrite: rewrite
+};
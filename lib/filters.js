@@ -0,0 +1,113 @@
+const { TRACKER } = require('./positions');
+
+/**
+* Name of the filters passed to the template functions
+*/
+const FILTERS = '__dotFilters';
+
+/**
+* Splits code on its pipes, outside of strings, brackets and logical ors
+* @param {String} code The code
+* @return {Array} The parts
+*/
+function split(code) {
+  const parts = [];
+  let depth = 0,
+    quote = null,
+    start = 0;
+
+  for (let i = 0; i < code.length; i++) {
+    const char = code[i];
+
+    if (quote) {
+      if (char === '\\') {
+        i++;
+      }
+      else if (char === quote) {
+        quote = null;
+      }
+    }
+    else if (char === '\'' || char === '"' || char === '`') {
+      quote = char;
+    }
+    else if ('([{'.indexOf(char) !== -1) {
+      depth++;
+    }
+    else if (')]}'.indexOf(char) !== -1) {
+      depth--;
+    }
+    else if (char === '|' && !depth) {
+      if (code[i + 1] === '|') {
+        i++;
+      }
+      else {
+        parts.push(code.slice(start, i));
+        start = i + 1;
+      }
+    }
+  }
+
+  parts.push(code.slice(start));
+  return parts;
+}
+
+/**
+* Applies the filters of an interpolation: value | name(args) | name
+* @param {String} code The code of the interpolation
+* @param {Array} names The registered filters
+* @return {String} The code, unchanged if a part is not a registered filter (e.g. a bitwise or)
+*/
+function apply(code, names) {
+  const parts = split(code);
+  let result = parts[0];
+
+  for (let i = 1; i < parts.length; i++) {
+    const filter = /^\s*([\w$]+)\s*(?:\(([\s\S]*)\))?\s*$/.exec(parts[i]);
+    if (!filter || names.indexOf(filter[1]) === -1) {
+      return code;
+    }
+
+    const args = filter[2] && filter[2].trim();
+    result = `${FILTERS}.${filter[1]}(${result.trim()}${args ? `, ${args}` : ''})`;
+  }
+
+  return result;
+}
+
+/**
+* Applies the filters of the interpolations of a template: [[= value | name(args) ]]
+* (also the encoded [[! ]] and the raw [[== ]] ones)
+* The template can be instrumented (see lib/positions.js).
+* @param {String} str The template string
+* @param {Object} c The doT settings (the tags regexps)
+* @param {Array} names The registered filters
+* @return {String} The template string
+*/
+function rewrite(str, c, names) {
+  const tracked = new RegExp(`^\\((${TRACKER}\\.offset=\\d+,)([\\s\\S]*)\\)$`);
+
+  if (!names.length) {
+    return str;
+  }
+
+  function replace(m, code) {
+    const start = m.indexOf(code),
+      position = tracked.exec(code),
+      value = position ? position[2] : code,
+      raw = /^\s*=/.exec(value),
+      output = raw ? raw[0] + apply(value.slice(raw[0].length), names) : apply(value, names);
+
+    return m.slice(0, start) +
+      (position ? `(${position[1]}${output})` : output) +
+      m.slice(start + code.length);
+  }
+
+  return str
+    .replace(c.interpolate, replace)
+    .replace(c.encode, replace);
+}
+
+module.exports = {
+  FILTERS: FILTERS,
+  rewrite: rewrite
+};
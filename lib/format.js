@@ -0,0 +1,126 @@
+/**
+* Name of the formatting helpers passed to the template functions
+*/
+const HELPERS = 'fmt';
+
+/**
+* Creates the formatting helpers of a render, for its locale and its time zone.
+* The function is also serialized in the browser bundles (see lib/client.js),
+* it must not use anything outside of its body.
+* @param {String} [locale] The locale of the render, the default locale of the runtime if none
+* @param {String} [timeZone] The time zone of the dates, the time zone of the runtime if none
+* @return {Object} The helpers, an empty value (undefined, null) is formatted as '':
+* {Function} number Formats a number: number(value, [digits|options])
+* {Function} percent Formats a ratio as a percentage: percent(0.25, [digits|options])
+* {Function} currency Formats an amount: currency(value, 'EUR', [options])
+* {Function} date Formats the date of a Date, a timestamp or a string: date(value, ['short'|'medium'|'long'|'full'|options])
+* {Function} time Formats the time of a date: time(value, [style|options])
+* {Function} datetime Formats the date and the time of a date: datetime(value, [style|options])
+* {Function} relative Formats a date relatively to now (in 3 days, yesterday): relative(date, [now]),
+* or an amount of a unit: relative(-1, 'day')
+* {Function} list Formats the items of an array: list(values, ['conjunction'|'disjunction'|'unit'|options])
+*/
+function createFormatters(locale, timeZone) {
+  const formats = {},
+    units = [['second', 60], ['minute', 60], ['hour', 24], ['day', 7], ['week', 4.35], ['month', 12], ['year', Infinity]];
+
+  // the Intl formats are reused, templates format in loops
+  function get(Format, options) {
+    const key = Format.name + JSON.stringify(options);
+    return formats[key] || (formats[key] = new Format(locale, options));
+  }
+
+  function isEmpty(value) {
+    return value === undefined || value === null;
+  }
+
+  function digits(options) {
+    return typeof options === 'number' ? { minimumFractionDigits: options, maximumFractionDigits: options, } : options;
+  }
+
+  function formatNumber(value, options) {
+    return isEmpty(value) ? '' : get(Intl.NumberFormat, options).format(value);
+  }
+
+  function formatDate(value, options) {
+    if (isEmpty(value)) {
+      return '';
+    }
+    if (timeZone && !options.timeZone) {
+      options = Object.assign({ timeZone: timeZone, }, options);
+    }
+    return get(Intl.DateTimeFormat, options).format(value instanceof Date ? value : new Date(value));
+  }
+
+  function style(value, keys, fallback) {
+    if (value && typeof value === 'object') {
+      return value;
+    }
+    const options = {};
+    keys.forEach(function (key) {
+      options[key] = value || fallback;
+    });
+    return options;
+  }
+
+  return {
+    number: function (value, options) {
+      return formatNumber(value, digits(options));
+    },
+
+    percent: function (value, options) {
+      return formatNumber(value, Object.assign({ style: 'percent', }, digits(options)));
+    },
+
+    currency: function (value, currency, options) {
+      return formatNumber(value, Object.assign({ style: 'currency', currency: currency, }, options));
+    },
+
+    date: function (value, options) {
+      return formatDate(value, style(options, ['dateStyle'], 'medium'));
+    },
+
+    time: function (value, options) {
+      return formatDate(value, style(options, ['timeStyle'], 'short'));
+    },
+
+    datetime: function (value, options) {
+      return formatDate(value, style(options, ['dateStyle', 'timeStyle'], 'medium'));
+    },
+
+    relative: function (value, unit) {
+      if (isEmpty(value)) {
+        return '';
+      }
+
+      const format = get(Intl.RelativeTimeFormat, { numeric: 'auto', });
+      if (/^(year|quarter|month|week|day|hour|minute|second)s?$/.test(unit)) {
+        return format.format(value, unit);
+      }
+
+      // the largest unit of the difference, in seconds first
+      const now = isEmpty(unit) ? Date.now() : new Date(unit).getTime();
+      let amount = (new Date(value).getTime() - now) / 1000;
+      if (isNaN(amount)) {
+        throw new RangeError('Invalid time value');
+      }
+
+      for (const [name, size] of units) {
+        if (Math.abs(amount) < size) {
+          return format.format(Math.round(amount), name);
+        }
+        amount /= size;
+      }
+    },
+
+    list: function (values, options) {
+      return isEmpty(values) ? '' : get(Intl.ListFormat, style(options, ['type'], 'conjunction'))
+        .format([].concat(values).map(String));
+    }
+  };
+}
+
+module.exports = {
+  HELPERS: HELPERS,
+  createFormatters: createFormatters
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+* Extensions of the message catalogs, in lookup order
+*/
+const CATALOG_EXTENSIONS = ['.json', '.yml', '.yaml'];
+
+/**
+* Gets the locales of a render, from the most specific one: 'fr-CA' gives ['fr-CA', 'fr']
+* @param {String} locale The locale
+* @return {Array} The locales
+*/
+function getLocales(locale) {
+  const parts = String(locale || '').split(/[-_]/).filter(Boolean),
+    locales = [];
+
+  for (let i = parts.length; i > 0; i--) {
+    locales.push(parts.slice(0, i).join('-'));
+  }
+  return locales;
+}
+
+/**
+* Gets the canonical form of a locale, the locales come from the request data
+* and name files and cache entries: anything but a BCP 47 tag is rejected
+* @param {String} locale The locale, e.g. 'fr-ca'
+* @return {String} The canonical locale ('fr-CA'), undefined if the locale is not valid
+*/
+function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || !/^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/.test(locale)) {
+    return undefined;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(locale)[0];
+  }
+  catch (err) {
+    return undefined;
+  }
+}
+
+/**
+* Loads the message catalog of a locale (locale.json, locale.yml or locale.yaml)
+* @param {String} directory The directory of the catalogs
+* @param {String} locale The locale
+* @return {Object} The messages, null if the locale has no catalog
+*/
+function loadCatalog(directory, locale) {
+  if (!normalizeLocale(locale)) {
+    return null;
+  }
+
+  for (const extension of CATALOG_EXTENSIONS) {
+    const filename = path.join(directory, locale + extension);
+
+    let content;
+    try {
+      content = fs.readFileSync(filename, 'utf8');
+    }
+    catch (err) {
+      if (err.code === 'ENOENT') {
+        continue;
+      }
+      throw err;
+    }
+
+    try {
+      return (extension === '.json' ? JSON.parse(content) : yaml.load(content)) || {};
+    }
+    catch (err) {
+      throw new Error(`Failed to load the message catalog ${filename} - ${err.message}`);
+    }
+  }
+  return null;
+}
+
+/**
+* Formats an ICU-style message:
+* - {name} the parameter
+* - {count, number} {ratio, number, percent} {date, date, short} {date, time} the formatted parameter
+* - {count, plural, =0 {none} one {# item} other {# items}} the plural form (offset:n is supported)
+* - {place, selectordinal, one {#st} two {#nd} few {#rd} other {#th}} the ordinal form
+* - {gender, select, female {she} male {he} other {they}} the matching form
+* @param {String} message The message
+* @param {Object} [params] The parameters
+* @param {String} locale The locale of the message (plural rules and number formats)
+* @return {String} The formatted message
+*/
+function format(message, params, locale) {
+  const head = /\s*([\w$.-]+)\s*(?:,\s*(\w+)\s*)?(?:,\s*([^{},]*?)\s*)?([,}])/y,
+    selector = /\s*(offset:\s*\d+|=?[\w$.-]+)\s*({)?/y;
+  let pos = 0;
+
+  params = params || {};
+
+  function fail(reason) {
+    throw new Error(`Invalid message "${message}" - ${reason} at ${pos}`);
+  }
+
+  function number(value, options) {
+    return new Intl.NumberFormat(locale, options).format(value);
+  }
+
+  // reads text up to the closing brace of the current level
+  function text(hash) {
+    let out = '';
+    while (pos < message.length && message[pos] !== '}') {
+      const char = message[pos];
+      pos++;
+      if (char === '{') {
+        out += argument(hash);
+      }
+      else if (char === '#' && hash !== undefined) {
+        out += hash;
+      }
+      else {
+        out += char;
+      }
+    }
+    return out;
+  }
+
+  // reads an argument, after its opening brace
+  function argument(hash) {
+    head.lastIndex = pos;
+    const match = head.exec(message);
+    if (!match) {
+      fail('expected an argument');
+    }
+    pos = head.lastIndex;
+
+    const name = match[1],
+      type = match[2],
+      style = match[3],
+      value = params[name];
+
+    if (match[4] === '}') {
+      if (value === undefined || value === null) {
+        return `{${name}}`;
+      }
+      if (type === 'number') {
+        return number(value, style === 'percent' ? { style: 'percent', } :
+          style === 'integer' ? { maximumFractionDigits: 0, } :
+            undefined);
+      }
+      if (type === 'date' || type === 'time') {
+        const options = {};
+        options[type + 'Style'] = style || 'medium';
+        return new Intl.DateTimeFormat(locale, options).format(new Date(value));
+      }
+      return String(value);
+    }
+
+    if (type !== 'plural' && type !== 'selectordinal' && type !== 'select') {
+      fail(`unknown argument type (${type})`);
+    }
+
+    // the forms, all formatted, the matching one is kept
+    const forms = {};
+    let offset = 0;
+
+    for (;;) {
+      selector.lastIndex = pos;
+      const form = selector.exec(message);
+      if (!form) {
+        break;
+      }
+      pos = selector.lastIndex;
+
+      if (/^offset:/.test(form[1])) {
+        offset = Number(form[1].replace(/^offset:\s*/, ''));
+        continue;
+      }
+      if (!form[2]) {
+        fail(`expected the form of ${form[1]}`);
+      }
+
+      const count = type === 'select' ? hash : number(Number(value) - offset);
+      forms[form[1]] = text(count);
+      if (message[pos] !== '}') {
+        fail('unclosed form');
+      }
+      pos++;
+    }
+
+    while (/\s/.test(message[pos])) {
+      pos++;
+    }
+    if (message[pos] !== '}') {
+      fail('unclosed argument');
+    }
+    pos++;
+
+    if (type === 'select') {
+      return forms.hasOwnProperty(value) ? forms[value] : (forms.other || '');
+    }
+
+    const exact = '=' + Number(value),
+      category = new Intl.PluralRules(locale, { type: type === 'plural' ? 'cardinal' : 'ordinal', })
+        .select(Number(value) - offset);
+
+    return forms.hasOwnProperty(exact) ? forms[exact] :
+      forms.hasOwnProperty(category) ? forms[category] :
+        (forms.other || '');
+  }
+
+  const result = text();
+  if (pos < message.length) {
+    fail('unexpected }');
+  }
+  return result;
+}
+
+/**
+* Gets a message of a catalog, by key ('nav.home' for { nav: { home: ... } })
+* @param {Object} catalog The catalog
+* @param {String} key The message key
+* @return {String} The message, undefined if missing
+*/
+function getMessage(catalog, key) {
+  if (!catalog) {
+    return undefined;
+  }
+  if (typeof catalog[key] === 'string') {
+    return catalog[key];
+  }
+
+  const message = String(key).split('.').reduce((value, part) =>
+    value && typeof value === 'object' ? value[part] : undefined, catalog);
+  return typeof message === 'string' ? message : undefined;
+}
+
+/**
+* Creates the translate function of a render (t in the templates)
+* @param {Array} locales The locales of the render, by priority (the default locale last)
+* @param {Function} getCatalog Gets the catalog of a locale
+* @return {Function} The translate function: t(key, params), the key is printed if no catalog has it
+*/
+function createTranslator(locales, getCatalog) {
+  return function (key, params) {
+    for (const locale of locales) {
+      const message = getMessage(getCatalog(locale), key);
+      if (message !== undefined) {
+        return format(message, params, locale);
+      }
+    }
+    return String(key);
+  };
+}
+
+module.exports = {
+  getLocales: getLocales,
+  normalizeLocale: normalizeLocale,
+  loadCatalog: loadCatalog,
+  format: format,
+  createTranslator: createTranslator
+};
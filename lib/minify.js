@@ -0,0 +1,207 @@
+/**
+* HTML minification of the rendered output.
+* The whitespace of the text is collapsed to a single space (removed around the
+* block elements), the content of <pre>, <textarea>, <script> and <style> is kept
+* as is, unless the inline CSS and JS are minified too.
+*/
+
+/**
+* Elements the whitespace around is not rendered
+*/
+const BLOCK_ELEMENTS = ['address', 'article', 'aside', 'base', 'blockquote', 'body', 'br', 'caption', 'col', 'colgroup', 'dd',
+  'details', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'head', 'header', 'hr', 'html', 'li', 'link', 'main', 'meta', 'nav', 'ol', 'option', 'p', 'pre', 'script', 'section',
+  'style', 'summary', 'table', 'tbody', 'td', 'textarea', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul'];
+
+/**
+* Gets the minification options
+* @param {Boolean|Object} options The minify setting: true, or the options:
+* {Boolean} [comments] Removes the comments, except the conditional ones (default true)
+* {Boolean} [css] Minifies the <style> blocks (default false)
+* {Boolean} [js] Minifies the <script> blocks (default false)
+* @return {Object} The options
+*/
+function getOptions(options) {
+  options = options && typeof options === 'object' ? options : {};
+
+  return {
+    comments: options.comments !== false,
+    css: !!options.css,
+    js: !!options.js
+  };
+}
+
+/**
+* Minifies a stylesheet: the comments and the whitespace around the punctuation are removed
+* @param {String} css The stylesheet
+* @return {String} The stylesheet
+*/
+function minifyCss(css) {
+  return css
+    .replace(/("(?:\\[\s\S]|[^"\\])*"|'(?:\\[\s\S]|[^'\\])*')|\/\*[\s\S]*?\*\/|\s*([{};,>])\s*|(:)\s+|\s+/g,
+      (m, string, punctuation, colon) => string || punctuation || colon || (m[0] === '/' ? '' : ' '))
+    .replace(/;}/g, '}')
+    .trim();
+}
+
+/**
+* Minifies a script: the indentation, the empty lines and the comment lines are removed.
+* The scripts with template literals or line continuations are kept as they are,
+* their whitespace can be significant. JSON scripts are serialized again.
+* @param {String} js The script
+* @param {String} type The type attribute of the script
+* @return {String} The script
+*/
+function minifyJs(js, type) {
+  if (/json$/i.test(type)) {
+    try {
+      return JSON.stringify(JSON.parse(js));
+    }
+    catch (err) {
+      return js;
+    }
+  }
+  if ((type && !/^(module|(text|application)\/(java|ecma)script)$/i.test(type)) || /`|\\\r?\n/.test(js)) {
+    return js;
+  }
+
+  return js
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !/^\/\//.test(line))
+    .join('\n');
+}
+
+/**
+* Collapses the whitespace of a tag, outside of its attribute values
+* @param {String} tag The tag
+* @return {String} The tag
+*/
+function minifyTag(tag) {
+  return tag
+    .replace(/("[^"]*"|'[^']*')|\s+/g, (m, value) => value || ' ')
+    .replace(/\s+(\/?>)$/, '$1');
+}
+
+/**
+* Gets the name of a tag, for the block elements
+* @param {String} token The token (a tag, a comment, a doctype...)
+* @return {String} The lowercase name, '!' for the comments and the doctypes
+*/
+function getTagName(token) {
+  const match = /^<\/?([a-zA-Z][\w-]*|!)/.exec(token || '');
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+* Elements the content is kept as is
+*/
+const RAW_ELEMENTS = ['pre', 'textarea', 'script', 'style'];
+
+/**
+* Minifies rendered HTML
+* @param {String} html The HTML
+* @param {Boolean|Object} [options] The minify setting (see getOptions)
+* @param {Object} [state] The state of a streamed page, carried from a chunk to the next one:
+* {String} [raw] The raw element (pre, textarea, script, style) the previous chunk ended in
+* @return {String} The minified HTML
+*/
+function minify(html, options, state) {
+  const regex = /<!--[\s\S]*?-->|<(pre|textarea|script|style)\b((?:"[^"]*"|'[^']*'|[^>])*)>([\s\S]*?)<\/\1\s*>|<[!/]?[a-zA-Z](?:"[^"]*"|'[^']*'|[^>])*>/gi,
+    tokens = [];
+  let last = 0,
+    m;
+
+  options = getOptions(options);
+  state = state || {};
+  html = String(html);
+
+  // the content of a raw element started in the previous chunk is kept until it closes
+  if (state.raw) {
+    const close = new RegExp(`</${state.raw}\\s*>`, 'i').exec(html);
+    if (!close) {
+      return html;
+    }
+
+    last = regex.lastIndex = close.index + close[0].length;
+    tokens.push({ markup: html.slice(0, last), name: state.raw, });
+    state.raw = null;
+  }
+
+  // the text around a removed comment is merged
+  function pushText(text) {
+    const previous = tokens[tokens.length - 1];
+    if (previous && previous.text) {
+      previous.text += text;
+    }
+    else {
+      tokens.push({ text: text, });
+    }
+  }
+
+  // the text and the markup
+  while ((m = regex.exec(html))) {
+    if (m.index > last) {
+      pushText(html.slice(last, m.index));
+    }
+    last = regex.lastIndex;
+
+    // comments, the conditional ones are kept (<!--[if IE]>...<![endif]-->)
+    if (m[0].indexOf('<!--') === 0) {
+      if (!options.comments || /^<!--\[if\b|<!\[endif]-->$/.test(m[0])) {
+        tokens.push({ markup: m[0], name: '!', });
+      }
+      continue;
+    }
+
+    // elements with raw content
+    if (m[1]) {
+      const name = m[1].toLowerCase(),
+        open = minifyTag(`<${m[1]}${m[2]}>`),
+        type = /\stype\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i.exec(m[2]),
+        content = name === 'style' && options.css ? minifyCss(m[3]) :
+          name === 'script' && options.js ? minifyJs(m[3], type && (type[1] || type[2] || type[3])) :
+            m[3];
+
+      tokens.push({ markup: open + content + m[0].slice(m[0].lastIndexOf('</')), name: name, });
+      continue;
+    }
+
+    const name = getTagName(m[0]);
+    tokens.push({ markup: m[0][1] === '!' ? m[0] : minifyTag(m[0]), name: name, });
+
+    // a raw element not closed in this chunk, its content is kept until the next ones close it
+    if (m[0][1] !== '/' && RAW_ELEMENTS.indexOf(name) !== -1) {
+      tokens.push({ markup: html.slice(last), name: name, });
+      state.raw = name;
+      last = html.length;
+      break;
+    }
+  }
+  if (last < html.length) {
+    pushText(html.slice(last));
+  }
+
+  // the whitespace of the text, removed around the block elements
+  // (kept at the edges, the streamed pages are minified by chunk)
+  return tokens
+    .map(function (token, i) {
+      if (!token.text) {
+        return token.markup;
+      }
+
+      const text = token.text.replace(/\s+/g, ' '),
+        previous = tokens[i - 1],
+        next = tokens[i + 1],
+        isBlock = (t) => !!t && (t.name === '!' || BLOCK_ELEMENTS.indexOf(t.name) !== -1);
+
+      return text
+        .replace(/^ /, isBlock(previous) ? '' : ' ')
+        .replace(/ $/, isBlock(next) ? '' : ' ');
+    })
+    .join('');
+}
+
+module.exports = {
+  minify: minify
+};
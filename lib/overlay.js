@@ -0,0 +1,99 @@
+const { TemplateError } = require('./errors');
+
+/**
+* Escapes a string for html
+* @param {*} value The value to escape
+* @return {String} The escaped string
+*/
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+* Renders the error page of a template error
+* @param {TemplateError} err The error
+* @param {Array} [fallbackModelKeys] The model keys to show if the error does not know them
+* @return {String} The html page
+*/
+function renderOverlay(err, fallbackModelKeys) {
+  const chain = err.chain || [{ filename: err.filename, type: 'view', }],
+    modelKeys = err.modelKeys || fallbackModelKeys || [];
+
+  // where each template of the chain was rendering when the error went through
+  const chainItems = chain.map(function (template) {
+    const location = err.templates.find((t) => t.filename === template.filename),
+      where = location ?
+        (location.section ? ` section '${location.section}'` : '') +
+        (location.line ? ` at ${location.line}:${location.column}` : '') :
+        '';
+
+    return `<li><span class="type">${escapeHtml(template.type)}</span> ` +
+      `<code>${escapeHtml(template.filename)}</code>${escapeHtml(where)}</li>`;
+  });
+
+  const modelItems = modelKeys.map((key) => `<li><code>${escapeHtml(key)}</code></li>`);
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Template error</title>
+    <style>
+      body { margin: 0; padding: 2em; font-family: sans-serif; background: #1e1e1e; color: #ddd; }
+      h1 { color: #ff6b6b; font-size: 1.4em; }
+      h2 { font-size: 1em; text-transform: uppercase; color: #999; margin-top: 2em; }
+      pre { background: #2d2d2d; padding: 1em; overflow: auto; }
+      code { color: #ffd479; }
+      .type { display: inline-block; min-width: 5em; color: #999; }
+      ol, ul { line-height: 1.6em; }
+    </style>
+  </head>
+  <body>
+    <h1>Failed to ${err.phase === 'build' ? 'build' : 'render'} <code>${escapeHtml(err.filename)}</code></h1>
+    <pre>${escapeHtml(String(err.cause))}</pre>
+    ${err.frame ? `<h2>Snippet</h2>\n    <pre>${escapeHtml(err.frame)}</pre>` : ''}
+    <h2>Templates</h2>
+    <ol>${chainItems.join('')}</ol>
+    <h2>Model keys</h2>
+    <ul>${modelItems.join('') || '<li>none</li>'}</ul>
+    <h2>Stack</h2>
+    <pre>${escapeHtml(err.cause && err.cause.stack || err.stack)}</pre>
+  </body>
+</html>`;
+}
+
+/**
+* Creates an express error handler showing the template errors in the browser.
+* Outside of development (or for other errors) the error goes to the next error handler.
+* @param {Object} [options] The overlay options:
+* {Boolean} [enabled] Forces the overlay on or off, defaults to express' env !== 'production'
+* @return {Function} The error handler
+*/
+function createErrorOverlay(options) {
+  options = options || {};
+
+  return function (err, req, res, next) {
+    const enabled = options.enabled !== undefined ?
+      !!options.enabled :
+      req.app.get('env') !== 'production';
+
+    if (!enabled || !(err instanceof TemplateError) || res.headersSent) {
+      next(err);
+      return;
+    }
+
+    res.status(500)
+      .type('html')
+      .send(renderOverlay(err, Object.keys(res.locals || {})));
+  };
+}
+
+module.exports = {
+  createErrorOverlay: createErrorOverlay,
+  renderOverlay: renderOverlay
+};
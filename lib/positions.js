@@ -0,0 +1,182 @@
+/**
+* Template positions.
+* Every doT expression tag of a template is instrumented so that, when rendering, it records
+* its offset in the original template file. When a render fails, the last
+* recorded offset gives the line and column of the failing tag.
+* The evaluate tags are not instrumented, a statement put in front of their code
+* would split the brace-less statements ([[ if (a) ]]yes[[ else ]]no).
+*/
+
+/**
+* Name of the position tracker passed to the template functions
+*/
+const TRACKER = '__dotPosition';
+
+/**
+* Instruments the doT tags of a template string with their offsets
+* @param {String} str The template string
+* @param {Object} c The doT settings (the tags regexps)
+* @param {Number} [base] The offset of the string in the template file
+* @return {String} The instrumented template string
+*/
+function instrument(str, c, base) {
+  const replacements = [];
+  let masked = str;
+
+  base = base || 0;
+
+  // replaces the matched tags with a mask of the same length, so the next
+  // regexps don't match them again and the offsets stay the original ones
+  // (the tags are replaced from their original text, the masked tags they wrap included)
+  function mask(regex, replace) {
+    if (!regex) {
+      return;
+    }
+
+    masked = masked.replace(regex, function (m) {
+      const offset = arguments[arguments.length - 2],
+        groups = [].slice.call(arguments, 1, arguments.length - 2);
+
+      replacements.push({
+        start: offset,
+        end: offset + m.length,
+        text: replace(str.slice(offset, offset + m.length), groups, offset)
+      });
+
+      return '\u0000'.repeat(m.length);
+    });
+  }
+
+  // wraps the code of a tag in an expression recording the offset
+  function wrap(m, code, offset) {
+    const start = m.indexOf(code);
+    return m.slice(0, start) +
+      `(${TRACKER}.offset=${base + offset},${code})` +
+      m.slice(start + code.length);
+  }
+
+  // server-side comments first, they are left as they are (stripped) with the tags they wrap
+  mask(c.serverComment, function (m) {
+    return m;
+  });
+
+  // layout blocks (see lib/blocks.js), their content is instrumented
+  mask(c.block, function (m, groups, offset) {
+    const mode = groups[0],
+      name = groups[1],
+      value = groups[2],
+      start = m.indexOf(':', m.indexOf(name, m.indexOf(mode) + mode.length) + name.length) + 1;
+
+    return m.slice(0, start) +
+      instrument(m.substr(start, value.length), c, base + offset + start) +
+      m.slice(start + value.length);
+  });
+
+  // compile-time defines, only the template ones (:) are instrumented
+  mask(c.define, function (m, groups, offset) {
+    const code = groups[0],
+      assign = groups[1],
+      value = groups[2];
+
+    if (assign !== ':') {
+      return m;
+    }
+
+    const start = m.indexOf(assign, m.indexOf(code) + code.length) + assign.length;
+    return m.slice(0, start) +
+      instrument(m.substr(start, value.length), c, base + offset + start) +
+      m.slice(start + value.length);
+  });
+
+  // compile-time evaluations are left as they are
+  mask(c.use, function (m) {
+    return m;
+  });
+
+  mask(c.interpolate, function (m, groups, offset) {
+    return wrap(m, groups[0], offset);
+  });
+
+  mask(c.encode, function (m, groups, offset) {
+    return wrap(m, groups[0], offset);
+  });
+
+  mask(c.conditional, function (m, groups, offset) {
+    return groups[1] ? wrap(m, groups[1], offset) : m;
+  });
+
+  mask(c.iterate, function (m, groups, offset) {
+    return groups[0] ? wrap(m, groups[0], offset) : m;
+  });
+
+  // components (see lib/components.js), only the opening tags are instrumented
+  mask(c.component, function (m, groups, offset) {
+    const code = groups[0];
+    return code && !/^slot\s/.test(code) ? wrap(m, code, offset) : m;
+  });
+
+  // put back the instrumented tags
+  let result = '',
+    last = 0;
+
+  replacements
+    .sort((a, b) => a.start - b.start)
+    .forEach(function (replacement) {
+      result += str.slice(last, replacement.start) + replacement.text;
+      last = replacement.end;
+    });
+
+  return result + str.slice(last);
+}
+
+/**
+* Gets the line and column of an offset
+* @param {String} source The template file content
+* @param {Number} offset The offset in the template file
+* @return {Object} The 1-based line and column
+*/
+function locate(source, offset) {
+  const before = source.slice(0, offset),
+    lines = before.split('\n');
+
+  return {
+    line: lines.length,
+    column: lines[lines.length - 1].length + 1
+  };
+}
+
+/**
+* Creates a code frame pointing at a line and a column
+* @param {String} source The template file content
+* @param {Number} line The 1-based line
+* @param {Number} column The 1-based column
+* @return {String} The code frame
+*/
+function codeFrame(source, line, column) {
+  const lines = source.split('\n'),
+    first = Math.max(line - 3, 0),
+    last = Math.min(line + 2, lines.length),
+    width = String(last).length;
+
+  return lines
+    .slice(first, last)
+    .map(function (text, i) {
+      const number = first + i + 1,
+        gutter = ' ' + String(number).padStart(width) + ' | ';
+
+      if (number !== line) {
+        return ' ' + gutter + text;
+      }
+
+      return '>' + gutter + text + '\n' +
+        ' ' + ' '.repeat(gutter.length - 2) + '| ' + ' '.repeat(column - 1) + '^';
+    })
+    .join('\n');
+}
+
+module.exports = {
+  TRACKER: TRACKER,
+  instrument: instrument,
+  locate: locate,
+  codeFrame: codeFrame
+};
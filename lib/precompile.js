@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+* Version of the precompiled module format
+*/
+const VERSION = 2;
+
+/**
+* Lists the template files of a directory, recursively
+* @param {String} dirname The views directory
+* @param {Array} extensions The template extensions (e.g. ['.dot'])
+* @return {Array} The paths relative to the directory, with '/' separators
+*/
+function listTemplates(dirname, extensions) {
+  const result = [];
+
+  (function walk(relative) {
+    fs.readdirSync(path.join(dirname, relative), { withFileTypes: true, })
+      .forEach(function (entry) {
+        const entryPath = relative ? relative + '/' + entry.name : entry.name;
+
+        if (entry.isDirectory()) {
+          walk(entryPath);
+        }
+        else if (extensions.indexOf(path.extname(entry.name)) !== -1) {
+          result.push(entryPath);
+        }
+      });
+  }(''));
+
+  return result.sort();
+}
+
+/**
+* Serializes the section functions of a template
+* @param {Object} templates The compiled section functions, by section name
+* @return {String} The javascript object
+*/
+function serializeFunctions(templates) {
+  return '{\n' +
+    Object.keys(templates)
+      .map((key) => `        ${JSON.stringify(key)}: ${templates[key].toString()}`)
+      .join(',\n') +
+    '\n      }';
+}
+
+/**
+* Creates the javascript module of precompiled templates
+* @param {Object} templates The templates, by path relative to the views directory:
+* {Object} config The yaml config
+* {String} source The template string
+* {Object} [modes] The block operations of the sections (see lib/blocks.js)
+* {Array} [helpers] The runtime helpers the sections get
+* {Boolean} [autoEscape] The templates were compiled with settings.autoEscape
+* {String} [varname] The arguments of the section functions
+* {Object} [sync] The compiled section functions
+* {Object} [async] The compiled async section functions
+* @return {String} The javascript module
+*/
+function serialize(templates) {
+  const entries = Object.keys(templates).map(function (name) {
+    const template = templates[name],
+      properties = [
+        `      config: ${JSON.stringify(template.config)}`,
+        `      source: ${JSON.stringify(template.source)}`,
+        `      modes: ${JSON.stringify(template.modes || {})}`,
+        `      helpers: ${JSON.stringify(template.helpers || [])}`,
+        `      autoEscape: ${JSON.stringify(!!template.autoEscape)}`,
+        `      varname: ${JSON.stringify(template.varname || '')}`
+      ];
+
+    if (template.sync) {
+      properties.push(`      sync: ${serializeFunctions(template.sync)}`);
+    }
+    if (template.async) {
+      properties.push(`      async: ${serializeFunctions(template.async)}`);
+    }
+
+    return `    ${JSON.stringify(name)}: {\n${properties.join(',\n')}\n    }`;
+  });
+
+  return '// Precompiled by express-dot-engine, do not edit\n' +
+    '/* eslint-disable */\n' +
+    'module.exports = {\n' +
+    `  version: ${VERSION},\n` +
+    '  templates: {\n' +
+    entries.join(',\n') +
+    '\n  }\n' +
+    '};\n';
+}
+
+module.exports = {
+  VERSION: VERSION,
+  listTemplates: listTemplates,
+  serialize: serialize
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+
+/**
+* Namespaced template names, e.g. @emails/footer
+*/
+const namespaced = /^@([^/\\]+)[/\\](.+)$/;
+
+/**
+* Explicitly relative template names, e.g. ./header or ../header
+*/
+const relative = /^\.\.?[/\\]/;
+
+/**
+* Gets the paths overriding a template path with the theme directories.
+* The path is taken relative to the theme directory or the view root containing it,
+* then looked up in every theme directory, then in every view root.
+* @param {String} filename The path to the template
+* @param {Object} options The lookup options:
+* {Array} [theme] The override directories, by priority
+* {Array} [roots] The view roots
+* @return {Array} The paths, the overrides first
+*/
+function getOverrides(filename, options) {
+  const theme = options.theme || [],
+    directories = theme.concat(options.roots || []);
+
+  if (!theme.length) {
+    return [filename];
+  }
+
+  const root = directories.find(function (directory) {
+    const relativePath = path.relative(directory, filename);
+    return relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+  });
+
+  if (!root) {
+    return [filename];
+  }
+
+  return directories
+    .map((directory) => path.join(directory, path.relative(root, filename)))
+    .concat(filename);
+}
+
+/**
+* Gets the locale variants of a template path, by priority:
+* 'welcome.dot' gives 'welcome.fr-CA.dot', 'welcome.fr.dot' then 'welcome.dot' for ['fr-CA', 'fr']
+* @param {String} filename The path to the template
+* @param {Array} [locales] The locales, by priority
+* @return {Array} The paths, the variants first
+*/
+function getVariants(filename, locales) {
+  const extension = path.extname(filename);
+
+  if (!extension || !locales || !locales.length) {
+    return [filename];
+  }
+
+  return locales
+    .map((locale) => filename.slice(0, -extension.length) + '.' + locale + extension)
+    .concat(filename);
+}
+
+/**
+* Gets the paths a template name can resolve to, in lookup order:
+* - '@emails/footer' from the namespace roots
+* - '/shared/header' from the view roots (then as an absolute path)
+* - './header' or '../header' from the directory of the template using it
+* - 'header' from the directory of the template using it, then from the view roots
+* A name without extension is looked up with the default extension first,
+* a path inside the view roots is looked up in the theme directories first (see getOverrides),
+* a path is looked up with the locale variants first (see getVariants).
+* @param {String} name The template name
+* @param {Object} options The lookup options:
+* {String} dirname The directory of the template using the name
+* {Array} roots The view roots
+* {Array} [theme] The override directories, by priority
+* {Array} [locales] The locales of the variants, by priority
+* {Object} namespaces The namespace roots (a path or an array of paths), by name
+* {String} extension The default extension (e.g. '.dot')
+* @return {Array} The paths
+*/
+function getCandidates(name, options) {
+  const roots = options.roots || [],
+    namespace = namespaced.exec(name);
+  let bases;
+
+  if (namespace) {
+    const namespaceRoots = (options.namespaces || {})[namespace[1]];
+    if (!namespaceRoots) {
+      throw new Error(`Unknown template namespace (@${namespace[1]})`);
+    }
+
+    bases = [].concat(namespaceRoots).map((root) => path.join(root, namespace[2]));
+  }
+  else if (path.isAbsolute(name)) {
+    bases = roots.map((root) => path.join(root, name)).concat(name);
+  }
+  else if (relative.test(name)) {
+    bases = [path.join(options.dirname, name)];
+  }
+  else {
+    bases = [path.join(options.dirname, name)].concat(roots.map((root) => path.join(root, name)));
+  }
+
+  const candidates = [];
+  bases.forEach(function (base) {
+    (path.extname(base) ? [base] : [base + options.extension, base]).forEach(function (filename) {
+      getOverrides(filename, options).forEach(function (override) {
+        getVariants(override, options.locales).forEach(function (candidate) {
+          if (candidates.indexOf(candidate) === -1) {
+            candidates.push(candidate);
+          }
+        });
+      });
+    });
+  });
+
+  return candidates;
+}
+
+module.exports = {
+  getOverrides: getOverrides,
+  getVariants: getVariants,
+  getCandidates: getCandidates
+};
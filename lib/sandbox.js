@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const vm = require('vm');
+const { SandboxError } = require('./errors');
+const escape = require('./escape');
+
+/**
+* Globals of node that templates commonly try to reach
+*/
+const FORBIDDEN = [
+  'require', 'process', 'module', 'exports', 'global', 'Buffer',
+  '__dirname', '__filename', 'setTimeout', 'setInterval', 'setImmediate'
+];
+
+/**
+* Name of the global running the pending call
+*/
+const RUNNER = '__dotRun';
+
+/**
+* Freezes the builtins of the context, so a template cannot change them for the others
+*/
+const FREEZE = `[
+  Object, Function, Array, String, Number, Boolean, Symbol, Date, RegExp, Math, JSON, Reflect,
+  Map, Set, WeakMap, WeakSet, Promise, Error, TypeError, RangeError, ReferenceError, SyntaxError
+].forEach(function (builtin) {
+  Object.freeze(builtin);
+  builtin.prototype && Object.freeze(builtin.prototype);
+});`;
+
+/**
+* Creates the runner of the pending call. The call is held in its closure: the engine
+* sets it (set is not reachable from the context) and the run global runs it once.
+* The result and the errors are converted in the context, under the timeout, so that
+* nothing of the template runs outside of it.
+*/
+const RUN = `(function (toString, freeze) {
+  'use strict';
+  var pending = null;
+
+  return freeze({
+    set: freeze(function (fn, args) {
+      pending = freeze({ fn: fn, args: args });
+    }),
+    run: freeze(function () {
+      var call = pending;
+      pending = null;
+      if (!call) {
+        return null;
+      }
+      try {
+        return { value: toString(call.fn.apply(null, call.args)) };
+      }
+      catch (e) {
+        return { error: true, name: toString(e && e.name), message: toString(e && e.message) };
+      }
+    })
+  });
+}(String, Object.freeze))`;
+
+/**
+* Creates the JSON parser copying the values into the context: the trusted HTML
+* (SafeString of the engine, serialized under the mark) is made a SafeString of the context
+*/
+const PARSE = `(function (parse) {
+  'use strict';
+  return function (raw, mark) {
+    return function (text) {
+      return parse(text, function (key, value) {
+        return value !== null && typeof value === 'object' && typeof value[mark] === 'string' ? raw(value[mark]) : value;
+      });
+    };
+  };
+}(JSON.parse))`;
+
+/**
+* Makes the globals of the context read-only (the builtins, the runner and the helpers),
+* so a template cannot replace them for the others. The globals created by the templates
+* stay deletable, see clean.
+*/
+const LOCK = `(function (getDescriptor, define) {
+  Object.getOwnPropertyNames(globalThis).forEach(function (name) {
+    var descriptor = getDescriptor(globalThis, name);
+    if ('value' in descriptor) {
+      descriptor.writable = false;
+    }
+    descriptor.configurable = false;
+    define(globalThis, name, descriptor);
+  });
+}(Object.getOwnPropertyDescriptor, Object.defineProperty))`;
+
+/**
+* Creates a sandbox for the section functions of untrusted templates.
+* The functions are compiled in a separate context, without the node globals,
+* and are called with copies of the models. Only the functions exposed (partial
+* and the whitelisted helpers) can reach the engine.
+* @param {Object} options The sandbox options:
+* {Number} [timeout] The time limit of a section, in ms (defaults to 100)
+* {Number} [maxOutput] The maximum length of a section output (defaults to 1000000)
+* {Object} [helpers] The whitelisted helpers, available as globals
+* @return {Object} The sandbox
+*/
+function createSandbox(options) {
+  options = Object.assign({ timeout: 100, maxOutput: 1000000, helpers: {}, }, options);
+
+  const global = Object.create(null),
+    context = vm.createContext(global, {
+      codeGeneration: { strings: false, wasm: false, },
+      microtaskMode: 'afterEvaluate',
+    }),
+    run = new vm.Script(`${RUNNER}()`),
+    mark = crypto.randomBytes(8).toString('hex'),
+    escapers = vm.runInContext(`(${escape.createEscapers.toString()}())`, context),
+    parse = vm.runInContext(PARSE, context)(escapers.raw, mark),
+    wrap = vm.runInContext('(function (fn) { return function () { return fn.apply(null, arguments); }; })', context),
+    fail = vm.runInContext('(function (message) { return new Error(message); })', context),
+    tracker = vm.runInContext('(function () { return Object.seal({ offset: -1 }); })', context),
+    remove = vm.runInContext('(function (name) { return delete globalThis[name]; })', context),
+    runner = vm.runInContext(RUN, context),
+    runs = [];
+
+  // the escape helpers of the engine are replaced with the ones of the context,
+  // so the trusted HTML of the context is printed as is
+  const natives = new Map([
+    [escape.helpers, freeze(escapers)],
+    [escape.raw, escapers.raw],
+    [escape.escapeHTML, escapers.html]
+  ]);
+
+  vm.runInContext(FREEZE, context);
+  define(RUNNER, runner.run);
+  Object.keys(options.helpers).forEach(function (name) {
+    define(name, freeze(copy(options.helpers[name])));
+  });
+  vm.runInContext(LOCK, context);
+
+  const globals = Object.keys(global);
+
+  function define(name, value) {
+    Object.defineProperty(global, name, { value: value, enumerable: true, });
+  }
+
+  /**
+  * Freezes a value of the context and its properties, e.g. the helpers shared by the renders
+  * @param {*} value The value
+  * @return {*} The frozen value
+  */
+  function freeze(value) {
+    if (value && (typeof value === 'object' || typeof value === 'function') && !Object.isFrozen(value)) {
+      Object.freeze(value);
+      Object.getOwnPropertyNames(value).forEach((key) => freeze(value[key]));
+    }
+    return value;
+  }
+
+  /**
+  * Copies a value into the context (functions are exposed, see expose,
+  * including the functions of an object, e.g. a helpers object).
+  * The trusted HTML (partials, layout sections) stays trusted, the escape helpers
+  * of the engine are the ones of the context.
+  * @param {*} value The value
+  * @return {*} The copy
+  */
+  function copy(value) {
+    if (natives.has(value)) {
+      return natives.get(value);
+    }
+    if (typeof value === 'function') {
+      return expose(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+
+    const result = parse(JSON.stringify(value, function (key, item) {
+      return item instanceof escape.SafeString ? { [mark]: item.toString(), } : item;
+    }));
+    if (!Array.isArray(value)) {
+      Object.keys(value).forEach(function (key) {
+        if (typeof value[key] === 'function') {
+          result[key] = expose(value[key]);
+        }
+      });
+    }
+    return result;
+  }
+
+  /**
+  * Exposes a function of the engine to the context.
+  * Its errors are kept for the engine, the template only gets a copy of their message.
+  * @param {Function} fn The function
+  * @return {Function} The function of the context
+  */
+  function expose(fn) {
+    return wrap(function () {
+      try {
+        return copy(fn.apply(null, arguments));
+      }
+      catch (err) {
+        const current = runs[runs.length - 1];
+        if (current && !current.error) {
+          current.error = err;
+        }
+        throw fail(String(err && err.message));
+      }
+    });
+  }
+
+  /**
+  * Deletes the globals created by the templates
+  */
+  function clean() {
+    Object.keys(global).forEach(function (name) {
+      if (globals.indexOf(name) === -1) {
+        remove(name);
+      }
+    });
+  }
+
+  return {
+
+    /**
+    * Compiles a section function in the context
+    * @param {Function} fn The section function (see dot.template)
+    * @return {Function} The function of the context
+    */
+    compile: function (fn) {
+      return vm.runInContext(`(${fn.toString()})`, context);
+    },
+
+    /**
+    * Calls a section function of the context
+    * @param {Function} fn The function (see compile)
+    * @param {Array} args The arguments, the last one being the position tracker
+    * @return {String} The section output
+    */
+    call: function (fn, args) {
+      const position = args[args.length - 1],
+        contextPosition = tracker(),
+        current = { error: null, };
+
+      runner.set(fn, copy([]).concat(args.slice(0, -1).map(copy), contextPosition));
+      runs.push(current);
+
+      let result;
+      try {
+        result = run.runInContext(context, { timeout: options.timeout, });
+      }
+      catch (err) {
+        throw err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' ?
+          new SandboxError('timeout', `Template exceeded the sandbox timeout (${options.timeout}ms)`) :
+          err;
+      }
+      finally {
+        const offset = contextPosition.offset;
+        position.offset = typeof offset === 'number' ? offset : -1;
+        runs.pop();
+        if (!runs.length) {
+          clean();
+        }
+      }
+
+      // an error of the engine (e.g. a failing partial) goes through as is
+      if (current.error) {
+        throw current.error;
+      }
+
+      if (result.error) {
+        const forbidden = result.name === 'ReferenceError' && /^(\S+) is not defined$/.exec(result.message);
+        if (forbidden && FORBIDDEN.indexOf(forbidden[1]) !== -1) {
+          throw new SandboxError('global', `'${forbidden[1]}' is not available in the sandbox`);
+        }
+        const error = new Error(result.message);
+        error.name = result.name;
+        throw error;
+      }
+
+      if (result.value.length > options.maxOutput) {
+        throw new SandboxError('output', `Template exceeded the sandbox output limit (${options.maxOutput} characters)`);
+      }
+
+      return result.value;
+    }
+  };
+}
+
+module.exports = {
+  createSandbox: createSandbox
+};
@@ -0,0 +1,54 @@
+/**
+* Asset stacks.
+* The templates and partials of a render push content to named stacks
+* (push('scripts', ...), once('datepicker', 'scripts', ...)) and the master prints
+* them with stack('scripts'). The stacks are printed as markers, resolved once the
+* render is done (see resolve), so they include the content pushed after them
+* (e.g. by the partials of the footer).
+*/
+
+/**
+* Creates the stacks of a render.
+* The function is also serialized in the browser bundles (see lib/client.js),
+* it must not use anything outside of its body.
+* @return {Object} The stacks:
+* {Function} push Adds content to a stack: push(name, content)
+* {Function} once Adds content to a stack, once per id: once(id, name, content)
+* {Function} stack Prints a stack: stack(name)
+* {Function} resolve Replaces the stack markers of the rendered HTML with the stacks
+*/
+function createStacks() {
+  const stacks = Object.create(null),
+    ids = Object.create(null);
+
+  function push(name, content) {
+    (stacks[name] = stacks[name] || []).push(content === undefined || content === null ? '' : String(content));
+    return '';
+  }
+
+  return {
+    push: push,
+
+    once: function (id, name, content) {
+      if (!ids[id]) {
+        ids[id] = true;
+        push(name, content);
+      }
+      return '';
+    },
+
+    stack: function (name) {
+      return '\u0000dot-stack:' + name + '\u0000';
+    },
+
+    resolve: function (html) {
+      return String(html).replace(/\u0000dot-stack:([^\u0000]*)\u0000/g, function (m, name) {
+        return (stacks[name] || []).join('');
+      });
+    }
+  };
+}
+
+module.exports = {
+  createStacks: createStacks
+};
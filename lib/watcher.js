@@ -0,0 +1,96 @@
+const fs = require('fs');
+
+/**
+* Creates a watcher over the template files read by an engine.
+* It also keeps track of which templates depend on which (layouts and partials),
+* so a change can be propagated to everything built on top of the changed file.
+* @param {Function} onChange Called with the filename of the changed template
+* @return {Object} The watcher
+*/
+function createWatcher(onChange) {
+  const watchers = {},
+    dependents = {};
+
+  return {
+
+    /**
+    * Starts watching a template file (only once per file)
+    * @param {String} filename The path to the template
+    */
+    watch: function (filename) {
+      if (!filename || watchers[filename]) {
+        return;
+      }
+
+      try {
+        const fsWatcher = fs.watch(filename, { persistent: false, }, function (eventType) {
+          // editors often replace the file, the old handle is then useless
+          // the file will be watched again when it is read again
+          if (eventType === 'rename') {
+            fsWatcher.close();
+            delete watchers[filename];
+          }
+
+          onChange(filename);
+        });
+
+        fsWatcher.on('error', function () {
+          fsWatcher.close();
+          delete watchers[filename];
+        });
+
+        watchers[filename] = fsWatcher;
+      }
+      catch (err) {
+        // the file cannot be watched (e.g. not on disk), nothing to invalidate
+      }
+    },
+
+    /**
+    * Records that a template uses another one (layout or partial)
+    * @param {String} filename The path to the dependent template
+    * @param {String} dependency The path to the template it uses
+    */
+    addDependency: function (filename, dependency) {
+      if (!filename || !dependency || filename === dependency) {
+        return;
+      }
+
+      (dependents[dependency] = dependents[dependency] || new Set()).add(filename);
+    },
+
+    /**
+    * Gets a template and all the templates depending on it, directly or not
+    * @param {String} filename The path to the template
+    * @return {Array} The filenames, starting with the given one
+    */
+    affectedBy: function (filename) {
+      const result = [filename];
+
+      for (let i = 0; i < result.length; i++) {
+        (dependents[result[i]] || []).forEach(function (dependent) {
+          if (result.indexOf(dependent) === -1) {
+            result.push(dependent);
+          }
+        });
+      }
+
+      return result;
+    },
+
+    /**
+    * Stops watching all the files and forgets the dependencies
+    */
+    close: function () {
+      Object.keys(watchers).forEach(function (filename) {
+        watchers[filename].close();
+        delete watchers[filename];
+      });
+      Object.keys(dependents).forEach(function (filename) {
+        delete dependents[filename];
+      });
+    }
+  };
+}
+
+module.exports = createWatcher;
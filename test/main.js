@@ -1,5 +1,10 @@
+var childProcess = require('child_process');
 var engine = require('../');
+var express = require('express');
+var fs = require('fs');
+var http = require('http');
 var mock = require('mock-fs');
+var os = require('os');
 var path = require('path');
 var should = require('should');
 
@@ -75,6 +80,28 @@ describe('express-dot-engine', function () {
         });
     });
 
+    it('should give the view data and the shortcuts precedence over the engine helpers', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[= t(\'hello\') ]] [[= esc ]] [[= fmt ]] [[= slot ]] [[= stack ]]',
+        },
+      });
+      var settings = {
+        'view data': { t: (key) => 'translated:' + key, esc: 'test-esc', fmt: 'test-fmt', },
+        'view shortcut': { slot: 'slot', stack: 'stack', },
+      };
+
+      // run
+      var result = engine.createEngine().render('path/views/child.dot', {
+        settings: settings,
+        _locals: { slot: 'test-slot', stack: 'test-stack', },
+      });
+
+      // result
+      should(result).equal('translated:hello test-esc test-fmt test-slot test-stack');
+    });
+
   });
 
   //////////////////////////////////////////////////////////////////////////////
@@ -121,6 +148,228 @@ describe('express-dot-engine', function () {
         });
     });
 
+    it('should override the layout with the layout option', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'print.dot': 'test-print [[= layout.body ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:test-child#]]',
+          'plain.dot': 'test-plain',
+        },
+      });
+
+      // run
+      var print = engine.render('path/views/child.dot', { layout: 'print.dot', }),
+        locals = engine.render('path/views/child.dot', { _locals: { layout: 'print.dot', }, }),
+        none = engine.render('path/views/child.dot', { layout: false, }),
+        plain = engine.render('path/views/plain.dot', { layout: 'master.dot', });
+
+      // result
+      should(print).equal('test-print test-child');
+      should(locals).equal('test-print test-child');
+      should(none).equal('test-child');
+      should(plain).equal('test-master test-plain');
+    });
+
+    it('should ignore the layout values that are not a layout name', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:test-child#]]',
+        },
+      });
+
+      // run
+      var object = await engine.renderAsync('path/views/child.dot', { layout: { title: 'test-title', }, }),
+        locals = engine.render('path/views/child.dot', { _locals: { layout: true, }, });
+
+      // result
+      should(object).equal('test-master test-child');
+      should(locals).equal('test-master test-child');
+    });
+
+    it('should compute the layout from the model', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'print.dot': 'test-print [[= layout.body ]]',
+          'child.dot': '---\nlayout: "[[= model.print ? \'print.dot\' : \'master.dot\' ]]"\n---\n[[##body:test-child#]]',
+        },
+      });
+
+      // run
+      var master = engine.render('path/views/child.dot', {}),
+        print = await engine.renderAsync('path/views/child.dot', { print: true, }),
+        none = engine.render('path/views/child.dot', { layout: false, });
+
+      // result
+      should(master).equal('test-master test-child');
+      should(print).equal('test-print test-child');
+      should(none).equal('test-child');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // BLOCKS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('blocks', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'master.dot': '<title>[[##block title:test-master#]]</title>[[##block scripts:<script src="master.js"></script>#]]' +
+            '[[##block footer:test-footer#]]',
+          'middle.dot': '---\nlayout: master.dot\n---\n' +
+            '[[##append scripts:<script src="middle.js"></script>#]]' +
+            '[[##title:test-middle [[= layout.super() ]]#]]',
+          'child.dot': '---\nlayout: middle.dot\n---\n' +
+            '[[##append scripts:<script src="[[= model.test ]].js"></script>#]]' +
+            '[[##prepend scripts:<script src="first.js"></script>#]]' +
+            '[[##title:test-child [[= layout.super() ]]#]]',
+        },
+      });
+    });
+
+    it('should render the default content of the blocks', function () {
+      // run
+      var result = engine.render('path/views/master.dot', {});
+
+      // result
+      should(result).equal('<title>test-master</title><script src="master.js"></script>test-footer');
+    });
+
+    it('should print nothing for layout.super() outside of a block', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': '<title>[[= layout.title ]]</title>',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##title:test-child [[= layout.super() ]]#]]',
+        },
+      });
+
+      // run
+      var result = engine.render('path/views/child.dot', {}),
+        asyncResult = await engine.renderAsync('path/views/child.dot', {});
+
+      // result
+      should(result).equal('<title>test-child </title>');
+      should(asyncResult).equal(result);
+    });
+
+    it('should replace, append and prepend through the layouts', function () {
+      // run
+      var result = engine.render('path/views/child.dot', { test: 'child', });
+
+      // result
+      should(result).equal(
+        '<title>test-child test-middle test-master</title>' +
+        '<script src="first.js"></script><script src="master.js"></script>' +
+        '<script src="middle.js"></script><script src="child.js"></script>' +
+        'test-footer');
+    });
+
+    it('should resolve the blocks of the async renders', async function () {
+      // run
+      var result = await engine.renderAsync('path/views/child.dot', { test: 'child', });
+
+      // result
+      should(result).equal(engine.render('path/views/child.dot', { test: 'child', }));
+    });
+
+    it('should resolve the blocks of the client templates', async function () {
+      // prepare
+      var module = { exports: {}, };
+
+      // run
+      var code = await engine.exportClient(['child.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('child.dot', { test: 'child', }))
+        .equal(engine.render('path/views/child.dot', { test: 'child', }));
+    });
+
+    it('should render without the block setting', function () {
+      // prepare
+      var dotEngine = engine.createEngine();
+      dotEngine.settings.dot = {
+        evaluate: /\[\[([\s\S]+?)\]\]/g,
+        interpolate: /\[\[=([\s\S]+?)\]\]/g,
+        encode: /\[\[!([\s\S]+?)\]\]/g,
+        use: /\[\[#([\s\S]+?)\]\]/g,
+        define: /\[\[##\s*([\w\.$]+)\s*(\:|=)([\s\S]+?)#\]\]/g,
+        conditional: /\[\[\?(\?)?\s*([\s\S]*?)\s*\]\]/g,
+        iterate: /\[\[~\s*(?:\]\]|([\s\S]+?)\s*\:\s*([\w$]+)\s*(?:\:\s*([\w$]+))?\s*\]\])/g,
+        varname: 'layout, partial, locals, model',
+        strip: false,
+        append: true,
+        selfcontained: false,
+      };
+
+      // run
+      var result = dotEngine.renderString('value is undefined: [[= model.value ]]', { value: 1, });
+
+      // result
+      should(result).equal('value is undefined: 1');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // STACKS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('stacks', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'master.dot': '<head>[[= stack(\'styles\') ]]</head>[[= layout.body ]][[= partial(\'footer.dot\') ]]' +
+            '[[= stack(\'scripts\') ]]',
+          'footer.dot': '[[ push(\'styles\', \'<link href="footer.css">\'); ]]test-footer',
+          'picker.dot': '[[= once(\'picker\', \'scripts\', \'<script src="picker.js"></script>\') ]]test-picker',
+          'child.dot': '---\nlayout: master.dot\n---\n' +
+            '[[##body:[[= partial(\'picker.dot\') ]][[= partial(\'picker.dot\') ]]' +
+            '[[= push(\'scripts\', \'<script>\' + model.test + \'</script>\') ]]#]]',
+        },
+      });
+    });
+
+    it('should print the stacks pushed by the templates and partials', function () {
+      // run
+      var result = engine.render('path/views/child.dot', { test: 1, });
+
+      // result
+      should(result).equal(
+        '<head><link href="footer.css"></head>test-pickertest-pickertest-footer' +
+        '<script src="picker.js"></script><script>1</script>');
+    });
+
+    it('should not share the stacks between the renders', async function () {
+      // run
+      var first = await engine.renderAsync('path/views/child.dot', {}),
+        second = await engine.renderAsync('path/views/child.dot', {});
+
+      // result
+      should(first).equal(engine.render('path/views/child.dot', {}));
+      should(second).equal(first);
+    });
+
+    it('should print the stacks of the client templates', async function () {
+      // prepare
+      var module = { exports: {}, };
+
+      // run
+      var code = await engine.exportClient(['child.dot', 'footer.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('child.dot', {})).equal(engine.render('path/views/child.dot', {}));
+    });
+
   });
 
   //////////////////////////////////////////////////////////////////////////////
@@ -171,142 +420,960 @@ describe('express-dot-engine', function () {
   });
 
   //////////////////////////////////////////////////////////////////////////////
-  // TEMPLATE
+  // COMPONENTS
   //////////////////////////////////////////////////////////////////////////////
-  describe('render', function () {
+  describe('components', function () {
 
-    it('should work async', function (done) {
-      // prepare
+    beforeEach(function () {
       mock({
         'path/views': {
-          'child.dot': 'test-template [[= model.test ]]',
+          'components': {
+            'card.dot': '<div>[[= model.title ]]|[[= slot.default ]]|[[= slot.footer ]]|[[= model.test ]]</div>',
+          },
+          'child.dot': '[[~ model.items :item ]][[@ \'components/card.dot\', { title: item, } ]]' +
+            'body-[[= item ]][[@slot footer]]footer-[[= model.test ]][[@]][[~]]',
         },
       });
+    });
 
+    it('should render the slots with the model of the caller and the props', async function () {
       // run
-      engine.render(
-        'path/views/child.dot',
-        { test: 'test-model', },
-        function (err, result) {
-          should(err).not.be.ok;
-          should(result).equal('test-template test-model');
-          done();
-        });
+      var result = engine.render('path/views/child.dot', { items: ['a', 'b'], test: 'test-model', }),
+        asyncResult = await engine.renderAsync('path/views/child.dot', { items: ['a', 'b'], test: 'test-model', });
+
+      // result
+      should(result).equal(
+        '<div>a|body-a|footer-test-model|undefined</div>' +
+        '<div>b|body-b|footer-test-model|undefined</div>');
+      should(asyncResult).equal(result);
     });
 
-    it('should work sync', function () {
+    it('should not encode the slots', function () {
       // prepare
-      mock({
-        'path/views': {
-          'child.dot': 'test-template [[= model.test ]]',
-        },
-      });
+      var escapeEngine = engine.createEngine({ autoEscape: true, });
 
       // run
-      var result = engine.render(
-        'path/views/child.dot',
-        { test: 'test-model', });
+      var result = escapeEngine.render('path/views/child.dot', { items: ['<a>'], test: '<b>', });
 
       // result
-      should(result).equal('test-template test-model');
+      should(result).equal('<div>&#60;a&#62;|body-&#60;a&#62;|footer-&#60;b&#62;|</div>');
     });
 
-  });
+    it('should fail on an unclosed component', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[@ \'card.dot\' ]]test',
+        },
+      });
 
-  //////////////////////////////////////////////////////////////////////////////
-  // TEMPLATE STRING
-  //////////////////////////////////////////////////////////////////////////////
-  describe('renderString', function () {
+      // run
+      should(function () {
+        engine.render('path/views/child.dot', {});
+      }).throw(/Unclosed component \('card.dot'\)/);
+    });
 
-    it('should work async', function (done) {
+    it('should render the client components', async function () {
+      // prepare
+      var module = { exports: {}, },
+        model = { items: ['a'], test: 'test-model', };
 
       // run
-      engine.renderString(
-        'test-template [[= model.test ]]',
-        { test: 'test-model', },
-        function (err, result) {
-          should(err).not.be.ok;
-          should(result).equal('test-template test-model');
-          done();
-        });
+      var code = await engine.exportClient(['child.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('child.dot', model)).equal(engine.render('path/views/child.dot', model));
     });
 
-    it('should work sync', function () {
+    it('should render without the component setting', function () {
+      // prepare
+      var dotEngine = engine.createEngine();
+      dotEngine.settings.dot = {
+        evaluate: /\[\[([\s\S]+?)\]\]/g,
+        interpolate: /\[\[=([\s\S]+?)\]\]/g,
+        encode: /\[\[!([\s\S]+?)\]\]/g,
+        use: /\[\[#([\s\S]+?)\]\]/g,
+        define: /\[\[##\s*([\w\.$]+)\s*(\:|=)([\s\S]+?)#\]\]/g,
+        conditional: /\[\[\?(\?)?\s*([\s\S]*?)\s*\]\]/g,
+        iterate: /\[\[~\s*(?:\]\]|([\s\S]+?)\s*\:\s*([\w$]+)\s*(?:\:\s*([\w$]+))?\s*\]\])/g,
+        varname: 'layout, partial, locals, model',
+        strip: false,
+        append: true,
+        selfcontained: false,
+      };
 
       // run
-      var result = engine.renderString(
-        'test-template [[= model.test ]]',
-        { test: 'test-model', });
+      function render() {
+        return dotEngine.renderString('value is undefined: [[= model.value ]]', { value: 1, });
+      }
 
       // result
-      should(result).equal('test-template test-model');
+      should(render).not.throw();
     });
 
   });
 
   //////////////////////////////////////////////////////////////////////////////
-  // TEMPLATE PROVIDER
+  // RESOLVE
   //////////////////////////////////////////////////////////////////////////////
-  describe('render with template provider', function () {
+  describe('resolve', function () {
 
-    var templatename = 'render.with.template.provider',
-      template = 'test-template [[= model.test ]]',
-      getTemplate = function (name, options, callback) {
-        var isAsync = callback && typeof callback === 'function';
-        if (name === templatename) {
-          if (!isAsync) {
-            return template;
-          }
-          callback(null, template);
-        }
-      };
+    it('should look up the partials without extension', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'partial.dot': 'test-partial',
+          'child.dot': 'test-child [[= partial(\'partial\') ]]',
+        },
+      });
 
-    it('should work async', function (done) {
       // run
-      engine.render(
-        templatename,
-        { getTemplate: getTemplate, test: 'test-model', },
-        function (err, result) {
-          should(err).not.be.ok;
-          should(result).equal('test-template test-model');
-          done();
-        });
+      var result = engine.render('path/views/child.dot', {});
+
+      // result
+      should(result).equal('test-child test-partial');
     });
 
-    it('should work sync', function () {
+    it('should look up the view roots in order', function () {
+      // prepare
+      mock({
+        'path/theme': {
+          'header.dot': 'theme-header',
+        },
+        'path/views': {
+          'header.dot': 'test-header',
+          'footer.dot': 'test-footer',
+          'master.dot': '[[= layout.body ]] [[= partial(\'/footer\') ]]',
+          'pages': {
+            'child.dot': '---\nlayout: /master\n---\n[[##body:[[= partial(\'header\') ]]#]]',
+          },
+        },
+      });
+
       // run
-      var result = engine.render(
-        templatename,
-        { getTemplate: getTemplate, test: 'test-model', });
+      var result = engine.render('path/views/pages/child.dot', {
+        settings: { views: ['path/theme', 'path/views'], },
+      });
 
       // result
-      should(result).equal('test-template test-model');
+      should(result).equal('theme-header test-footer');
     });
 
-  });
+    it('should prefer the directory of the template', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'header.dot': 'test-header',
+          'pages': {
+            'header.dot': 'pages-header',
+            'child.dot': '[[= partial(\'header\') ]] [[= partial(\'/header\') ]]',
+          },
+        },
+      });
 
-  //////////////////////////////////////////////////////////////////////////////
-  // CACHE
-  //////////////////////////////////////////////////////////////////////////////
-  describe('cache', function () {
+      // run
+      var result = engine.render('path/views/pages/child.dot', {
+        settings: { views: 'path/views', },
+      });
 
-    it('should work', function (done) {
+      // result
+      should(result).equal('pages-header test-header');
+    });
+
+    it('should look up the namespaces', function (done) {
       // prepare
+      var emailEngine = engine.createEngine({ namespaces: { emails: 'path/emails', }, });
       mock({
+        'path/emails': {
+          'footer.dot': 'email-footer',
+        },
         'path/views': {
-          'child.dot': 'test-child [[= model.test ]]',
+          'child.dot': 'test-child [[= partial(\'@emails/footer\') ]]',
         },
       });
 
       // run
-      function test(data, cb) {
-        engine.__express(
-          'path/views/child.dot',
-          {
-            cache: true,
-            test: data,
-          },
-          function (err, result) {
+      emailEngine.renderAsync('path/views/child.dot', {})
+        .then(function (result) {
+          // result
+          should(result).equal('test-child email-footer');
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should use the extension of the view engine', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'partial.html': 'test-partial',
+          'child.html': 'test-child [[= partial(\'partial\') ]]',
+        },
+      });
+
+      // run
+      var result = engine.render('path/views/child.html', {
+        settings: { 'view engine': 'html', },
+      });
+
+      // result
+      should(result).equal('test-child test-partial');
+    });
+
+    it('should look up the theme directories first', function () {
+      // prepare
+      mock({
+        'path/themes/acme': {
+          'master.dot': 'acme-master [[= layout.body ]]',
+          'pages': {
+            'header.dot': 'acme-header',
+          },
+        },
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'pages': {
+            'header.dot': 'test-header',
+            'footer.dot': 'test-footer',
+            'child.dot': '---\nlayout: ../master.dot\n---\n[[##body:[[= partial(\'header.dot\') ]] [[= partial(\'footer.dot\') ]]#]]',
+          },
+        },
+      });
+
+      // run
+      var result = engine.render('path/views/pages/child.dot', {
+        settings: { views: 'path/views', },
+        theme: 'path/themes/acme',
+      });
+
+      // result
+      should(result).equal('acme-master acme-header test-footer');
+    });
+
+    it('should not leak the theme between renders', function () {
+      // prepare
+      mock({
+        'path/themes/acme': {
+          'header.dot': 'acme-header',
+        },
+        'path/views': {
+          'header.dot': 'test-header',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'header.dot\') ]]#]]',
+          'master.dot': 'test-master [[= layout.body ]]',
+        },
+      });
+      var themeEngine = engine.createEngine(),
+        settings = { views: 'path/views', };
+
+      // run
+      var acme = themeEngine.render('path/views/child.dot', { cache: true, settings: settings, theme: ['path/themes/acme'], });
+      var base = themeEngine.render('path/views/child.dot', { cache: true, settings: settings, });
+
+      // result
+      should(acme).equal('test-master acme-header');
+      should(base).equal('test-master test-header');
+      should(themeEngine.cache.get(path.join('path/themes/acme', 'header.dot'))).be.ok();
+      should(themeEngine.cache.get(path.join('path/views', 'header.dot'))).be.ok();
+    });
+
+    it('should memoize the themed view resolution', function () {
+      // prepare
+      mock({
+        'path/themes/acme': {
+          'child.dot': 'acme-child',
+        },
+        'path/views': {
+          'child.dot': 'test-child',
+        },
+      });
+      var themeEngine = engine.createEngine(),
+        options = { cache: true, settings: { views: 'path/views', }, theme: ['path/themes/acme'], },
+        statSync = fs.statSync,
+        stats = 0;
+      themeEngine.render('path/views/child.dot', options);
+
+      // run
+      fs.statSync = function () {
+        stats++;
+        return statSync.apply(this, arguments);
+      };
+      var result;
+      try {
+        result = themeEngine.render('path/views/child.dot', options);
+      }
+      finally {
+        fs.statSync = statSync;
+      }
+
+      // result
+      should(result).equal('acme-child');
+      should(stats).equal(0);
+    });
+
+    it('should report the candidates of a missing template', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[= partial(\'missing\') ]]',
+        },
+      });
+
+      // run
+      var err;
+      try {
+        engine.render('path/views/child.dot', { settings: { views: 'path/views', }, });
+      }
+      catch (e) {
+        err = e;
+      }
+
+      // result
+      should(err).be.instanceOf(engine.TemplateError);
+      should(err.message).containEql('Failed to lookup template "missing"');
+      should(err.message).containEql(path.join('path/views', 'missing.dot'));
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // TEMPLATE
+  //////////////////////////////////////////////////////////////////////////////
+  describe('render', function () {
+
+    it('should work async', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': 'test-template [[= model.test ]]',
+        },
+      });
+
+      // run
+      engine.render(
+        'path/views/child.dot',
+        { test: 'test-model', },
+        function (err, result) {
+          should(err).not.be.ok;
+          should(result).equal('test-template test-model');
+          done();
+        });
+    });
+
+    it('should work sync', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': 'test-template [[= model.test ]]',
+        },
+      });
+
+      // run
+      var result = engine.render(
+        'path/views/child.dot',
+        { test: 'test-model', });
+
+      // result
+      should(result).equal('test-template test-model');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // SERVER-SIDE COMMENTS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('server-side comments', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'master.dot': '<!--[if mso]><table><![endif]-->[[-- the master --]][[= layout.body ]]',
+          'partial.dot': '[[-- [[= model.missing.value ]] --]]<p>partial</p>',
+          'index.dot': '---\nlayout: master.dot\n---\n[[##body:[[--\n  partial(\'none.dot\')\n--]]<!-- kept -->[[= partial(\'partial.dot\') ]]\n[[= model.x.y ]]#]]',
+        },
+      });
+    });
+
+    it('should strip the comments of the sections, partials and layouts', async function () {
+      // run
+      var sync = engine.render('path/views/index.dot', { x: { y: 'test', }, }),
+        async = await engine.renderAsync('path/views/index.dot', { x: { y: 'test', }, });
+
+      // result
+      should(sync).equal('<!--[if mso]><table><![endif]--><!-- kept --><p>partial</p>\ntest');
+      should(async).equal(sync);
+    });
+
+    it('should strip the defines and the blocks wrapped in a comment', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': '[[= layout.title ]] [[= layout.body ]]',
+          'index.dot': '---\nlayout: master.dot\n---\n[[##title:NEW#]][[-- [[##title:OLD#]] --]][[##body:body[[-- [[#block:x:OLD#]] --]]#]]',
+        },
+      });
+
+      // run
+      var result = engine.render('path/views/index.dot', {});
+
+      // result
+      should(result).equal('NEW body');
+    });
+
+    it('should keep the location of the errors after a comment', function () {
+      // run
+      var error;
+      try {
+        engine.render('path/views/index.dot', {});
+      }
+      catch (err) {
+        error = err;
+      }
+
+      // result
+      should(error).be.instanceOf(engine.TemplateError);
+      should(error.line).equal(7);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // ERRORS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('errors', function () {
+
+    it('should locate the failing tag', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': 'test-child\n  [[= model.missing.value ]]',
+        },
+      });
+
+      // run
+      var error;
+      try {
+        engine.render('path/views/child.dot', {});
+      }
+      catch (err) {
+        error = err;
+      }
+
+      // result
+      should(error).match({
+        name: 'TemplateError',
+        filename: 'path/views/child.dot',
+        section: 'body',
+        line: 2,
+        column: 3,
+      });
+      should(error.message).startWith('Failed to render with doT (path/views/child.dot:2:3, section \'body\')');
+      should(error.frame).containEql('> 2 |   [[= model.missing.value ]]');
+    });
+
+    it('should locate the failing tag in a layout section', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:\n[[~ model.items :item]][[= item.missing.value ]][[~]]#]]',
+        },
+      });
+
+      // run
+      engine.render('path/views/child.dot', { items: [{}], }, function (err) {
+        // result
+        should(err).match({ filename: 'path/views/child.dot', section: 'section', line: 5, column: 24, });
+        done();
+      });
+    });
+
+    it('should locate the failing tag in the master', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master\n[[= layout.section.missing.value ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:test-child#]]',
+        },
+      });
+
+      // run
+      var error = await engine.renderAsync('path/views/child.dot', {})
+        .catch(function (err) { return err; });
+
+      // result
+      should(error).match({ filename: path.join('path/views', 'master.dot'), section: 'body', line: 2, column: 1, });
+    });
+
+    it('should keep the evaluate tags as they are', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[ if (model.a) ]]yes[[ else ]]no [[ for (var i = 0; i < 2; i++) ]][[= i ]]',
+        },
+      });
+
+      // run
+      var yes = engine.render('path/views/child.dot', { a: true, }),
+        no = engine.render('path/views/child.dot', { a: false, });
+
+      // result
+      should(yes).equal('yes01');
+      should(no).equal('no 01');
+    });
+
+    it('should keep the partial location', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'partial.dot': '[[= model.missing.value ]]',
+          'child.dot': 'test-child [[= partial(\'partial.dot\') ]]',
+        },
+      });
+
+      // run
+      var error;
+      try {
+        engine.render('path/views/child.dot', {});
+      }
+      catch (err) {
+        error = err;
+      }
+
+      // result
+      should(error.filename).equal(path.join('path/views', 'partial.dot'));
+      should(error.templates).match([
+        { filename: path.join('path/views', 'partial.dot'), line: 1, column: 1, },
+        { filename: 'path/views/child.dot', line: 1, column: 12, },
+      ]);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // ERROR OVERLAY
+  //////////////////////////////////////////////////////////////////////////////
+  describe('errorOverlay', function () {
+
+    function request(env, done) {
+      var app = express(),
+        server;
+      app.set('env', env);
+      app.engine('dot', engine.__express);
+      app.set('views', 'path/views');
+      app.set('view engine', 'dot');
+      app.get('/', function (req, res) {
+        res.render('child', { test: 'test-model', });
+      });
+      app.use(engine.errorOverlay());
+      app.use(function (err, req, res, next) {
+        res.status(500).send('fallback');
+      });
+
+      server = app.listen(0, function () {
+        http.get('http://localhost:' + server.address().port + '/', function (res) {
+          var body = '';
+          res.on('data', function (chunk) { body += chunk; });
+          res.on('end', function () {
+            server.close();
+            done(res, body);
+          });
+        });
+      });
+    }
+
+    it('should show the template chain, the snippet and the model keys', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'partial.dot': '[[= model.missing.value ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:[[= partial(\'partial.dot\') ]]#]]',
+        },
+      });
+
+      // run
+      request('development', function (res, body) {
+        // result
+        should(res.statusCode).equal(500);
+        should(body).containEql('<code>' + path.resolve('path/views/child.dot') + '</code> section &#39;section&#39; at 4:13');
+        should(body).containEql('<span class="type">partial</span> <code>' + path.resolve('path/views/partial.dot') + '</code> section &#39;body&#39; at 1:1');
+        should(body).containEql('&gt; 1 | [[= model.missing.value ]]');
+        should(body).containEql('<li><code>test</code></li>');
+        done();
+      });
+    });
+
+    it('should fall back in production', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[= model.missing.value ]]',
+        },
+      });
+
+      // run
+      request('production', function (res, body) {
+        // result
+        should(body).equal('fallback');
+        done();
+      });
+    });
+
+    it('should show the templates that fail to build', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[= model.test ]] [[ if ( ]]',
+        },
+      });
+
+      // run
+      request('development', function (res, body) {
+        // result
+        should(body).containEql('Failed to build <code>' + path.resolve('path/views/child.dot') + '</code>');
+        done();
+      });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // STREAM
+  //////////////////////////////////////////////////////////////////////////////
+  describe('renderStream', function () {
+
+    it('should flush the master before the sections are rendered', function (done) {
+      // prepare
+      var resolveSection,
+        chunks = [];
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.first ]] [[= layout.second ]] end',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##first:[[= await model.wait ]]#]][[##second:test-second#]]',
+        },
+      });
+
+      // run
+      engine.renderStream('path/views/child.dot', {
+        wait: new Promise(function (resolve) { resolveSection = resolve; }),
+      })
+        .on('data', function (chunk) {
+          chunks.push(chunk.toString());
+          if (chunks.length === 1) {
+            should(chunks[0]).equal('test-master ');
+            resolveSection('test-first');
+          }
+        })
+        .on('end', function () {
+          // result
+          should(chunks.join('')).equal('test-master test-first test-second end');
+          done();
+        });
+    });
+
+    it('should support 3 levels', function (done) {
+      // prepare
+      var result = '';
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'middle.dot': '---\nlayout: master.dot\n---\n[[##section:test-middle [[= layout.section ]]#]]',
+          'child.dot': '---\nlayout: middle.dot\n---\n[[##section:test-child#]]',
+        },
+      });
+
+      // run
+      engine.renderStream('path/views/child.dot', {})
+        .on('data', function (chunk) { result += chunk; })
+        .on('end', function () {
+          // result
+          should(result).equal('test-master test-middle test-child');
+          done();
+        });
+    });
+
+    it('should emit the section errors', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:[[= model.missing.value ]]#]]',
+        },
+      });
+
+      // run
+      engine.renderStream('path/views/child.dot', {})
+        .on('data', function () { })
+        .on('error', function (err) {
+          // result
+          should(err).be.ok();
+          done();
+        });
+    });
+
+    it('should pipe to the express response', function (done) {
+      // prepare
+      var app = express(),
+        server;
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:[[= model.test ]]#]]',
+        },
+      });
+      app.engine('dot', engine.__express);
+      app.set('views', 'path/views');
+      app.set('view engine', 'dot');
+      app.use(engine.streamMiddleware());
+      app.get('/', function (req, res) {
+        res.renderStream('child', { test: 'test-model', });
+      });
+
+      // run
+      server = app.listen(0, function () {
+        http.get('http://localhost:' + server.address().port + '/', function (res) {
+          var body = '';
+          res.on('data', function (chunk) { body += chunk; });
+          res.on('end', function () {
+            server.close();
+
+            // result
+            should(res.headers['content-type']).match(/^text\/html/);
+            should(body).equal('test-master test-model');
+            done();
+          });
+        });
+      });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // TEMPLATE STRING
+  //////////////////////////////////////////////////////////////////////////////
+  describe('renderString', function () {
+
+    it('should work async', function (done) {
+
+      // run
+      engine.renderString(
+        'test-template [[= model.test ]]',
+        { test: 'test-model', },
+        function (err, result) {
+          should(err).not.be.ok;
+          should(result).equal('test-template test-model');
+          done();
+        });
+    });
+
+    it('should work sync', function () {
+
+      // run
+      var result = engine.renderString(
+        'test-template [[= model.test ]]',
+        { test: 'test-model', });
+
+      // result
+      should(result).equal('test-template test-model');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // EMAIL
+  //////////////////////////////////////////////////////////////////////////////
+  describe('renderEmail', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'email.dot': '<html><head><style>p { color: red; } .note { margin: 0; } a:hover { color: blue; }</style></head>' +
+            '<body>[[= layout.body ]]</body></html>',
+          'order.dot': '---\nlayout: email.dot\nsubject: Order [[= model.id ]] shipped\n---\n' +
+            '[[##body:<p class="note" style="color: green">Hello [[= model.name ]]</p><a href="https://shop.test/[[= model.id ]]">Track</a>#]]',
+          'welcome.dot': '---\nlayout: email.dot\nsubject: Welcome\n---\n' +
+            '[[##body:<p>Hello</p>#]]\n[[##text:Hello [[= model.name ]], welcome!#]]',
+        },
+      });
+    });
+
+    it('should render the subject, the inlined HTML and the plain text', async function () {
+      // run
+      var result = await engine.renderEmail('path/views/order.dot', { id: 42, name: 'Ann', });
+
+      // result
+      should(result).eql({
+        subject: 'Order 42 shipped',
+        html: '<html><head><style>\na:hover { color: blue; }\n</style></head>' +
+          '<body><p class="note" style="margin: 0; color: green">Hello Ann</p><a href="https://shop.test/42">Track</a></body></html>',
+        text: 'Hello Ann\n\nTrack (https://shop.test/42)',
+      });
+    });
+
+    it('should use the text section', async function () {
+      // run
+      var result = await engine.renderEmail('path/views/welcome.dot', { name: 'Ann', });
+
+      // result
+      should(result.subject).equal('Welcome');
+      should(result.html).equal('<html><head><style>\na:hover { color: blue; }\n</style></head><body><p style="color: red">Hello</p></body></html>');
+      should(result.text).equal('Hello Ann, welcome!');
+    });
+
+    it('should render a template without layout', async function () {
+      // prepare
+      mock({
+        'path/views/plain.dot': '---\nsubject: Hi\n---\n<style>b { color: red; }</style><p>Hi <b>[[= model.name ]]</b></p>',
+      });
+
+      // run
+      var result = await engine.renderEmail('path/views/plain.dot', { name: 'Ann', });
+
+      // result
+      should(result).eql({ subject: 'Hi', html: '<p>Hi <b style="color: red">Ann</b></p>', text: 'Hi Ann', });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // MINIFY
+  //////////////////////////////////////////////////////////////////////////////
+  describe('minify', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'master.dot': '<!doctype html>\n<html>\n  <head>\n    <!--[if mso]><style>td { }</style><![endif]-->\n' +
+            '    <style>\n      p  >  b { color : red; }\n    </style>\n  </head>\n  <body   class="page">\n' +
+            '    <!-- [[= layout.title ]] -->\n    [[= layout.body ]]\n  </body>\n</html>\n',
+          'partial.dot': '<pre>\n  keep   this\n</pre>',
+          'index.dot': '---\nlayout: master.dot\ntitle: test-title\n---\n' +
+            '[[##body:\n    <p>Hello   <b>[[= model.name ]]</b>\n      world</p>\n    [[= partial(\'partial.dot\') ]]\n#]]',
+        },
+      });
+    });
+
+    it('should minify the rendered page', async function () {
+      // prepare
+      var minifyEngine = engine.createEngine({ minify: true, }),
+        expected = '<!doctype html><html><head><!--[if mso]><style>td { }</style><![endif]-->' +
+          '<style>\n      p  >  b { color : red; }\n    </style></head><body class="page">' +
+          '<p>Hello <b>Ann</b> world</p><pre>\n  keep   this\n</pre></body></html>';
+
+      // run
+      var sync = minifyEngine.render('path/views/index.dot', { name: 'Ann', }),
+        async = await minifyEngine.renderAsync('path/views/index.dot', { name: 'Ann', });
+
+      // result
+      should(sync).equal(expected);
+      should(async).equal(expected);
+      should(engine.render('path/views/index.dot', { name: 'Ann', })).containEql('<!-- test-title -->');
+    });
+
+    it('should minify the inline css and js', function () {
+      // prepare
+      var minifyEngine = engine.createEngine({ minify: { comments: false, css: true, js: true, }, });
+
+      // run
+      var result = minifyEngine.renderString('<style>\n  /* title */\n  h1 , h2 { margin : 0 ; }\n</style>\n' +
+        '<script>\n  // init\n  var name = \'[[= model.name ]]\';\n\n  init(name);\n</script>\n' +
+        '<script type="application/json">{ "name" : "[[= model.name ]]" }</script> <!-- kept -->', { name: 'Ann', });
+
+      // result
+      should(result).equal('<style>h1,h2{margin :0}</style><script>var name = \'Ann\';\ninit(name);</script>' +
+        '<script type="application/json">{"name":"Ann"}</script><!-- kept -->');
+    });
+
+    it('should keep the raw elements spanning the chunks of a stream', function (done) {
+      // prepare
+      var minifyEngine = engine.createEngine({ minify: true, }),
+        chunks = [];
+      mock({
+        'path/views': {
+          'master.dot': '<p> a </p>  <pre>a    b[[= layout.code ]]</pre>  <p>  end  </p>',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##code:\n   c#]]',
+        },
+      });
+
+      // run
+      minifyEngine.renderStream('path/views/child.dot', {})
+        .on('data', function (chunk) {
+          chunks.push(chunk.toString());
+        })
+        .on('end', function () {
+          // result
+          should(chunks.length).be.above(1);
+          should(chunks.join('')).equal('<p>a</p><pre>a    b\n   c</pre><p>end</p>');
+          done();
+        })
+        .on('error', done);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // TEMPLATE PROVIDER
+  //////////////////////////////////////////////////////////////////////////////
+  describe('render with template provider', function () {
+
+    var templatename = 'render.with.template.provider',
+      template = 'test-template [[= model.test ]]',
+      getTemplate = function (name, options, callback) {
+        var isAsync = callback && typeof callback === 'function';
+        if (name === templatename) {
+          if (!isAsync) {
+            return template;
+          }
+          callback(null, template);
+        }
+      };
+
+    it('should work async', function (done) {
+      // run
+      engine.render(
+        templatename,
+        { getTemplate: getTemplate, test: 'test-model', },
+        function (err, result) {
+          should(err).not.be.ok;
+          should(result).equal('test-template test-model');
+          done();
+        });
+    });
+
+    it('should work sync', function () {
+      // run
+      var result = engine.render(
+        templatename,
+        { getTemplate: getTemplate, test: 'test-model', });
+
+      // result
+      should(result).equal('test-template test-model');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // CACHE
+  //////////////////////////////////////////////////////////////////////////////
+  describe('cache', function () {
+
+    it('should work', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': 'test-child [[= model.test ]]',
+        },
+      });
+
+      // run
+      function test(data, cb) {
+        engine.__express(
+          'path/views/child.dot',
+          {
+            cache: true,
+            test: data,
+          },
+          function (err, result) {
             should(err).not.be.ok;
             should(result).equal('test-child ' + data);
             cb();
@@ -314,14 +1381,1178 @@ describe('express-dot-engine', function () {
         );
       }
 
-      test('test-model1',
-        function () { test('test-model2', done); }
-      );
+      test('test-model1',
+        function () { test('test-model2', done); }
+      );
+    });
+
+  });
+
+
+
+  //////////////////////////////////////////////////////////////////////////////
+  // LRU CACHE
+  //////////////////////////////////////////////////////////////////////////////
+  describe('lru cache', function () {
+
+    it('should evict the least recently used templates', function () {
+      // prepare
+      var lruEngine = engine.createEngine({ cache: engine.createLRUCache({ max: 2, }), });
+      mock({
+        'path/views': {
+          'first.dot': 'test-first',
+          'second.dot': 'test-second',
+          'third.dot': 'test-third',
+        },
+      });
+
+      // run
+      ['first.dot', 'second.dot', 'first.dot', 'third.dot'].forEach(function (name) {
+        lruEngine.render('path/views/' + name, { cache: true, });
+      });
+
+      // result
+      should(lruEngine.cache.stats()).match({ hits: 1, misses: 3, evictions: 1, entries: 2, });
+      should(lruEngine.cache.get('path/views/first.dot')).be.ok();
+      should(lruEngine.cache.get('path/views/second.dot')).not.be.ok();
+    });
+
+    it('should limit the compiled size', function () {
+      // prepare
+      var store = engine.createLRUCache({ maxSize: 10, });
+
+      // run
+      store.set('small', { size: 6, });
+      store.set('other', { size: 6, });
+
+      // result
+      should(store.get('small')).not.be.ok();
+      should(store.stats()).match({ evictions: 1, entries: 1, size: 6, });
+    });
+
+    it('should expire the entries', function (done) {
+      // prepare
+      var store = engine.createLRUCache({ ttl: 10, });
+      store.set('key', 'value');
+
+      // result
+      setTimeout(function () {
+        should(store.get('key')).not.be.ok();
+        should(store.stats()).match({ misses: 1, evictions: 1, entries: 0, });
+        done();
+      }, 20);
+    });
+
+    it('should work with async templates', async function () {
+      // prepare
+      var lruEngine = engine.createEngine({ asyncCache: engine.createLRUCache({ max: 10, }), });
+      mock({
+        'path/views': {
+          'child.dot': 'test-child [[= model.test ]]',
+        },
+      });
+
+      // run
+      await lruEngine.renderAsync('path/views/child.dot', { cache: true, test: 1, });
+      var result = await lruEngine.renderAsync('path/views/child.dot', { cache: true, test: 2, });
+
+      // result
+      should(result).equal('test-child 2');
+      should(lruEngine.asyncCache.stats()).match({ hits: 1, misses: 1, entries: 1, });
+      should(lruEngine.asyncCache.stats().size).be.above(0);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // WATCH
+  //////////////////////////////////////////////////////////////////////////////
+  describe('watch', function () {
+
+    var watchEngine;
+
+    beforeEach(function () {
+      watchEngine = engine.createEngine({ watch: true, });
+    });
+
+    afterEach(function () {
+      watchEngine.unwatch();
+    });
+
+    it('should evict the layouts and partials dependents', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'partial.dot': 'test-partial',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:[[= partial(\'partial.dot\') ]]#]]',
+          'other.dot': 'test-other',
+        },
+      });
+      ['child.dot', 'other.dot'].forEach(function (name) {
+        watchEngine.render(path.join('path/views', name), { cache: true, });
+      });
+
+      // run
+      watchEngine.invalidate(path.join('path/views', 'partial.dot'));
+
+      // result
+      should(watchEngine.cache.get(path.join('path/views', 'partial.dot'))).not.be.ok();
+      should(watchEngine.cache.get(path.join('path/views', 'child.dot'))).not.be.ok();
+      should(watchEngine.cache.get(path.join('path/views', 'master.dot'))).be.ok();
+      should(watchEngine.cache.get(path.join('path/views', 'other.dot'))).be.ok();
+    });
+
+    it('should render the changed file', function (done) {
+      // prepare
+      var dirname = fs.mkdtempSync(path.join(os.tmpdir(), 'express-dot-engine-')),
+        filename = path.join(dirname, 'child.dot');
+      fs.writeFileSync(filename, 'test-child 1');
+      should(watchEngine.render(filename, { cache: true, })).equal('test-child 1');
+
+      // run
+      fs.writeFileSync(filename, 'test-child 2');
+
+      // result
+      (function check(retries) {
+        if (watchEngine.cache.get(filename) && retries) {
+          return setTimeout(check, 50, retries - 1);
+        }
+        should(watchEngine.render(filename, { cache: true, })).equal('test-child 2');
+        fs.rmSync(dirname, { recursive: true, force: true, });
+        done();
+      }(40));
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // PRECOMPILE
+  //////////////////////////////////////////////////////////////////////////////
+  describe('precompile', function () {
+
+    function load(code) {
+      var module = { exports: {}, };
+      new Function('module', code)(module);
+      return module.exports;
+    }
+
+    it('should render without reading the template files', async function () {
+      // prepare
+      var precompiledEngine = engine.createEngine();
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.section ]]',
+          'partials': {
+            'partial.dot': 'test-partial [[= model.test ]]',
+          },
+          'child.dot': '---\nlayout: master.dot\n---\n[[##section:[[= partial(\'partials/partial.dot\') ]]#]]',
+          'readme.txt': 'not a template',
+        },
+      });
+      var bundle = load(await engine.precompile('path/views'));
+      mock({});
+
+      // run
+      precompiledEngine.loadPrecompiled(bundle, { root: 'path/views', });
+
+      // result
+      should(Object.keys(bundle.templates)).eql(['child.dot', 'master.dot', 'partials/partial.dot']);
+      should(precompiledEngine.render('path/views/child.dot', { test: 'test-model', }))
+        .equal('test-master test-partial test-model');
+      should(await precompiledEngine.renderAsync('path/views/child.dot', { test: 'test-model', }))
+        .equal('test-master test-partial test-model');
+    });
+
+    it('should keep the error positions', async function () {
+      // prepare
+      var precompiledEngine = engine.createEngine();
+      mock({
+        'path/views': {
+          'child.dot': 'test-child\n[[= model.missing.value ]]',
+        },
+      });
+      precompiledEngine.loadPrecompiled(load(await engine.precompile('path/views', { async: false, })), { root: 'path/views', });
+
+      // run
+      var error;
+      try {
+        precompiledEngine.render('path/views/child.dot', {});
+      }
+      catch (err) {
+        error = err;
+      }
+
+      // result
+      should(error).match({ line: 2, column: 1, });
+    });
+
+    it('should reject the templates precompiled with another escaping', async function () {
+      // prepare
+      var escapingEngine = engine.createEngine({ autoEscape: true, });
+      mock({
+        'path/views': {
+          'child.dot': 'test-child [[= model.test ]]',
+        },
+      });
+      var plain = load(await engine.precompile('path/views')),
+        escaped = load(await escapingEngine.precompile('path/views'));
+
+      // run
+      var errors = [[escapingEngine, plain], [engine.createEngine(), escaped]].map(function (args) {
+        try {
+          args[0].loadPrecompiled(args[1], { root: 'path/views', });
+        }
+        catch (err) {
+          return err;
+        }
+      });
+      escapingEngine.loadPrecompiled(escaped, { root: 'path/views', });
+
+      // result
+      should(errors[0].message).containEql('child.dot was precompiled with autoEscape off, it is on');
+      should(errors[1].message).containEql('child.dot was precompiled with autoEscape on, it is off');
+      should(escapingEngine.render('path/views/child.dot', { test: '<b>', })).equal('test-child &#60;b&#62;');
+    });
+
+    it('should work from the command line', function () {
+      // prepare
+      var dirname = fs.mkdtempSync(path.join(os.tmpdir(), 'express-dot-engine-')),
+        output = path.join(dirname, 'build', 'views.js');
+      fs.mkdirSync(path.join(dirname, 'views'));
+      fs.writeFileSync(path.join(dirname, 'views', 'child.dot'), 'test-child [[= model.test ]]');
+
+      // run
+      childProcess.execFileSync(process.execPath, [
+        path.join(__dirname, '..', 'bin', 'express-dot-engine.js'),
+        'compile', path.join(dirname, 'views'),
+        '-o', output,
+      ], { stdio: 'ignore', });
+
+      // result
+      var bundle = require(output);
+      should(bundle.templates['child.dot'].sync).have.property('body');
+      should(bundle.templates['child.dot'].async).have.property('body');
+      fs.rmSync(dirname, { recursive: true, force: true, });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // CLIENT EXPORT
+  //////////////////////////////////////////////////////////////////////////////
+  describe('exportClient', function () {
+
+    beforeEach(function () {
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.title ]] [[= layout.section ]]',
+          'partials': {
+            'card.dot': '<div>[[! model.title ]]</div>',
+          },
+          'child.dot': '---\nlayout: master.dot\ntitle: test-title\n---\n' +
+            '[[##section:[[= partial(\'partials/card.dot\', { title: model.test, }) ]]#]]',
+          'unused.dot': 'test-unused',
+        },
+      });
+    });
+
+    it('should render like the server', async function () {
+      // prepare
+      var module = { exports: {}, },
+        model = { test: '<test-model>', };
+
+      // run
+      var code = await engine.exportClient(['child.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(Object.keys(module.exports.templates).sort()).eql(['child.dot', 'master.dot', 'partials/card.dot']);
+      should(module.exports.render('child.dot', model)).equal(engine.render('path/views/child.dot', model));
+    });
+
+    it('should override the layout with the layout option', async function () {
+      // prepare
+      var module = { exports: {}, };
+
+      // run
+      var code = await engine.exportClient(['child.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('child.dot', { test: 'test-model', layout: false, }))
+        .equal(engine.render('path/views/child.dot', { test: 'test-model', layout: false, }));
+    });
+
+    it('should export an es module', async function () {
+      // run
+      var code = await engine.exportClient('partials/card.dot', { root: 'path/views', });
+
+      // result
+      should(code).containEql('export const render = runtime.render;');
+      should(code).containEql('export default runtime;');
+      should(code).not.containEql('__dotPosition.offset');
+    });
+
+    it('should resolve the template names like the server', async function () {
+      // prepare
+      var namespaceEngine = engine.createEngine({ namespaces: { emails: 'path/emails', }, }),
+        module = { exports: {}, },
+        model = { test: 'test-model', };
+      mock({
+        'path/emails': {
+          'footer.dot': 'test-footer',
+        },
+        'path/views': {
+          'shared': {
+            'header.dot': 'test-header',
+          },
+          'pages': {
+            'part.dot': 'test-part [[= model.test ]]',
+            'child.dot': '[[= partial(\'/shared/header\') ]] [[= partial(\'part\') ]] [[= partial(\'@emails/footer\') ]]',
+          },
+        },
+      });
+
+      // run
+      var code = await namespaceEngine.exportClient(['pages/child.dot'], { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('pages/child.dot', model))
+        .equal(namespaceEngine.render('path/views/pages/child.dot', Object.assign({ settings: { views: 'path/views', }, }, model)));
+      should(module.exports.render('pages/child.dot', model)).equal('test-header test-part test-model test-footer');
+    });
+
+    it('should name the template using a missing template', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'child.dot': '[[= partial(\'missing\') ]]',
+        },
+      });
+
+      // run
+      var error = await engine.exportClient(['child.dot'], { root: 'path/views', })
+        .catch(function (err) { return err; });
+
+      // result
+      should(error.message).startWith('Failed to export child.dot - Failed to lookup template "missing"');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // HELPERS AND FILTERS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('helpers and filters', function () {
+
+    var helperEngine;
+
+    beforeEach(function () {
+      helperEngine = engine.createEngine();
+      helperEngine.registerHelper('shout', function (value) {
+        return String(value).toUpperCase() + '!';
+      });
+      helperEngine.registerFilter('currency', function (value, currency) {
+        return value.toFixed(2) + ' ' + (currency || 'USD');
+      });
+      helperEngine.registerFilter('upper', function (value) {
+        return String(value).toUpperCase();
+      });
+
+      mock({
+        'path/views': {
+          'master.dot': '[[= shout(\'master\') ]] [[= layout.body ]]',
+          'partial.dot': '[[= shout(model.test) ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\') ]] [[= model.price | currency(\'EUR\') | upper ]]#]]',
+        },
+      });
+    });
+
+    it('should make the helpers available in the sections, partials and layouts', async function () {
+      // run
+      var result = helperEngine.render('path/views/child.dot', { test: 'child', price: 2, }),
+        asyncResult = await helperEngine.renderAsync('path/views/child.dot', { test: 'child', price: 2, });
+
+      // result
+      should(result).equal('MASTER! CHILD! 2.00 EUR');
+      should(asyncResult).equal(result);
+    });
+
+    it('should only apply the registered filters', function () {
+      // run
+      var result = helperEngine.renderString(
+        '[[= model.price | currency ]] [[= model.none || \'none\' ]] [[= model.flag | 1 ]] [[! \'<a>\' | upper ]]',
+        { price: 1, flag: 2, });
+
+      // result
+      should(result).equal('1.00 USD none 3 &#60;A&#62;');
+    });
+
+    it('should evict the cached templates when registering', function () {
+      // prepare
+      var cacheEngine = engine.createEngine();
+      mock({
+        'path/views': {
+          'child.dot': '[[= typeof shout ]]',
+        },
+      });
+
+      // run
+      var before = cacheEngine.render('path/views/child.dot', { cache: true, });
+      cacheEngine.registerHelper('shout', function () {});
+      var after = cacheEngine.render('path/views/child.dot', { cache: true, });
+
+      // result
+      should(before).equal('undefined');
+      should(after).equal('function');
+    });
+
+    it('should reject the invalid names', function () {
+      // run
+      should(function () {
+        helperEngine.registerHelper('model', function () {});
+      }).throw('Invalid helper name (model)');
+      ['__dotComponent', '__dotFilters', '__dotPosition', '__dotEscape', 'new', 'class', 'if', 'this', 'out'].forEach(function (name) {
+        should(function () {
+          helperEngine.registerHelper(name, function () {});
+        }).throw('Invalid helper name (' + name + ')');
+      });
+      should(function () {
+        helperEngine.registerFilter('upper', 'test');
+      }).throw('Invalid filter (upper)');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // I18N
+  //////////////////////////////////////////////////////////////////////////////
+  describe('i18n', function () {
+
+    var i18nEngine;
+
+    beforeEach(function () {
+      i18nEngine = engine.createEngine({ i18n: { directory: 'path/views/locales', defaultLocale: 'en', }, });
+      mock({
+        'path/views': {
+          'locales': {
+            'en.json': JSON.stringify({
+              title: 'Welcome',
+              cart: { items: '{count, plural, =0 {No items} one {# item} other {# items}}', },
+              greeting: 'Hello {name}',
+            }),
+            'fr.yml': 'title: Bienvenue\ncart:\n  items: "{count, plural, =0 {Aucun article} one {# article} other {# articles}}"\n',
+          },
+          'master.dot': '<html lang="[[= locale ]]"><h1>[[= t(\'title\') ]]</h1>[[= layout.body ]]</html>',
+          'partial.dot': '[[= t(\'cart.items\', { count: model.count, }) ]]',
+          'welcome.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\') ]]#]]',
+          'welcome.fr.dot': '---\nlayout: master.dot\n---\n[[##body:fr [[= partial(\'partial.dot\') ]] [[= t(\'greeting\', { name: \'Ann\', }) ]]#]]',
+        },
+      });
+    });
+
+    it('should translate with the catalog of the locale', function () {
+      // run
+      var en = i18nEngine.render('path/views/welcome.dot', { count: 1, }),
+        fr = i18nEngine.render('path/views/welcome.dot', { count: 0, locale: 'fr', });
+
+      // result
+      should(en).equal('<html lang="en"><h1>Welcome</h1>1 item</html>');
+      should(fr).equal('<html lang="fr"><h1>Bienvenue</h1>fr Aucun article Hello Ann</html>');
+    });
+
+    it('should prefer the template variants of the locale', async function () {
+      // run
+      var region = await i18nEngine.renderAsync('path/views/welcome.dot', { count: 2, _locals: { locale: 'fr-CA', }, }),
+        other = await i18nEngine.renderAsync('path/views/welcome.dot', { count: 2, locale: 'de', });
+
+      // result
+      should(region).equal('<html lang="fr-CA"><h1>Bienvenue</h1>fr 2 articles Hello Ann</html>');
+      should(other).equal('<html lang="de"><h1>Welcome</h1>2 items</html>');
+    });
+
+    it('should load each catalog once by render', function () {
+      // prepare
+      var readFileSync = fs.readFileSync,
+        reads = 0;
+      fs.readFileSync = function (filename) {
+        if (/locales/.test(filename)) {
+          reads++;
+        }
+        return readFileSync.apply(this, arguments);
+      };
+
+      // run
+      var result;
+      try {
+        result = i18nEngine.renderString('[[= t(\'title\') ]] [[= t(\'greeting\', { name: \'Ann\', }) ]]', { locale: 'fr', });
+      }
+      finally {
+        fs.readFileSync = readFileSync;
+      }
+
+      // result
+      should(result).equal('Bienvenue Hello Ann');
+      should(reads).equal(3); // fr.json (missing), fr.yml, en.json
+    });
+
+    it('should memoize the localized view resolution', function () {
+      // prepare
+      var options = { cache: true, count: 1, locale: 'fr', },
+        statSync = fs.statSync,
+        stats = 0;
+      i18nEngine.render('path/views/welcome.dot', options);
+
+      // run
+      fs.statSync = function () {
+        stats++;
+        return statSync.apply(this, arguments);
+      };
+      var result;
+      try {
+        result = i18nEngine.render('path/views/welcome.dot', options);
+      }
+      finally {
+        fs.statSync = statSync;
+      }
+
+      // result
+      should(result).equal('<html lang="fr"><h1>Bienvenue</h1>fr 1 article Hello Ann</html>');
+      should(stats).equal(0);
+    });
+
+    it('should ignore the locales that are not a language tag', function () {
+      // prepare
+      mock({
+        'path/secret': {
+          'conf.json': JSON.stringify({ title: 'secret', }),
+        },
+        'path/views/locales': {
+          'en.json': JSON.stringify({ title: 'Welcome', }),
+        },
+      });
+
+      // run
+      var result = i18nEngine.renderString('[[= locale ]] [[= t(\'title\') ]]', { locale: '../../secret/conf', });
+
+      // result
+      should(result).equal('en Welcome');
+    });
+
+    it('should print the key of the missing messages', function () {
+      // run
+      var result = i18nEngine.renderString('[[= t(\'missing.key\') ]]', {});
+
+      // result
+      should(result).equal('missing.key');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // FORMATTING HELPERS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('formatting helpers', function () {
+
+    var template = '[[= fmt.number(model.total, 2) ]]|[[= fmt.percent(model.ratio) ]]|' +
+      '[[= fmt.currency(model.total, \'EUR\') ]]|[[= fmt.date(model.date, \'long\') ]]|' +
+      '[[= fmt.time(model.date) ]]|[[= fmt.relative(-1, \'day\') ]]|[[= fmt.list(model.tags) ]]';
+
+    function getModel(options) {
+      return Object.assign({
+        total: 1234.5,
+        ratio: 0.25,
+        date: Date.UTC(2024, 0, 31, 23, 30),
+        tags: ['a', 'b', 'c'],
+      }, options);
+    }
+
+    it('should format with the locale and the time zone of the model', function () {
+      // run
+      var en = engine.renderString(template, getModel({ locale: 'en-US', timeZone: 'UTC', })),
+        fr = engine.renderString(template, getModel({ locale: 'fr-FR', timeZone: 'Europe/Paris', }));
+
+      // result
+      should(en).equal('1,234.50|25%|€1,234.50|January 31, 2024|11:30 PM|yesterday|a, b, and c');
+      should(fr).equal(new Intl.NumberFormat('fr-FR', { minimumFractionDigits: 2, }).format(1234.5) + '|25 %|' +
+        new Intl.NumberFormat('fr-FR', { style: 'currency', currency: 'EUR', }).format(1234.5) +
+        '|1 février 2024|00:30|hier|a, b et c');
+    });
+
+    it('should format with the express locals in the layouts and partials', async function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': '[[= layout.body ]]|[[= fmt.datetime(model.date, \'short\') ]]',
+          'partial.dot': '[[= fmt.relative(model.date, model.now) ]]',
+          'index.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\') ]]#]]',
+        },
+      });
+
+      // run
+      var result = await engine.renderAsync('path/views/index.dot', {
+        date: '2024-01-31T23:30:00Z',
+        now: '2024-02-03T12:00:00Z',
+        _locals: { locale: 'en-GB', timeZone: 'Asia/Tokyo', },
+      });
+
+      // result
+      should(result).equal('3 days ago|01/02/2024, 08:30');
+    });
+
+    it('should format in the browser like the server', async function () {
+      // prepare
+      var module = { exports: {}, },
+        model = getModel({ locale: 'de-DE', timeZone: 'UTC', });
+      mock({
+        'path/views': {
+          'index.dot': template,
+        },
+      });
+
+      // run
+      var code = await engine.exportClient('index.dot', { root: 'path/views', format: 'umd', });
+      new Function('module', code)(module);
+
+      // result
+      should(module.exports.render('index.dot', model)).equal(engine.render('path/views/index.dot', model));
+    });
+
+    it('should format the empty values as empty strings', function () {
+      // run
+      var result = engine.renderString('[[= fmt.number(model.none) ]][[= fmt.date(model.none) ]][[= fmt.list(model.none) ]]', {});
+
+      // result
+      should(result).equal('');
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // AUTO-ESCAPING
+  //////////////////////////////////////////////////////////////////////////////
+  describe('autoEscape', function () {
+
+    var escapeEngine;
+
+    beforeEach(function () {
+      escapeEngine = engine.createEngine({ autoEscape: true, });
+    });
+
+    it('should encode the interpolations', function () {
+      // run
+      var result = escapeEngine.renderString('[[= model.test ]] [[! model.test ]] [[= model.missing ]]', { test: '<b>test-model</b>', });
+
+      // result
+      should(result).equal('&#60;b&#62;test-model&#60;&#47;b&#62; &#60;b&#62;test-model&#60;&#47;b&#62; ');
+    });
+
+    it('should print the raw interpolations and the safe strings', function () {
+      // run
+      var result = escapeEngine.renderString('[[== model.test ]] [[= raw(model.test) ]] [[= model.safe ]]', {
+        test: '<b>test-model</b>',
+        safe: engine.raw('<i>safe</i>'),
+      });
+
+      // result
+      should(result).equal('<b>test-model</b> <b>test-model</b> <i>safe</i>');
+    });
+
+    it('should not encode the partials and the layout sections', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': '<main>[[= layout.body ]]</main>',
+          'partial.dot': '<p>[[= model.test ]]</p>',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:<div>[[= partial(\'partial.dot\') ]]</div>#]]',
+        },
+      });
+
+      // run
+      var result = escapeEngine.render('path/views/child.dot', { test: '<b>', });
+
+      // result
+      should(result).equal('<main><div><p>&#60;b&#62;</p></div></main>');
+    });
+
+    it('should work with async templates', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'partial.dot': '<p>[[= await model.test ]]</p>',
+          'child.dot': '<div>[[= partial(\'partial.dot\') ]]</div>',
+        },
+      });
+
+      // run
+      return escapeEngine.renderAsync('path/views/child.dot', { test: Promise.resolve('<b>'), })
+        .then(function (result) {
+          // result
+          should(result).equal('<div><p>&#60;b&#62;</p></div>');
+        });
+    });
+
+    it('should keep the error positions', function () {
+      // run
+      var err;
+      try {
+        escapeEngine.renderString('test-template\n  [[= model.missing.test ]]', {});
+      }
+      catch (e) {
+        err = e;
+      }
+
+      // result
+      should(err.line).equal(2);
+      should(err.column).equal(3);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // ESCAPE HELPERS
+  //////////////////////////////////////////////////////////////////////////////
+  describe('escape helpers', function () {
+
+    it('should escape for attributes, urls, scripts and css', function () {
+      // run
+      var result = engine.renderString(
+        '<a href="/search?q=[[= esc.url(model.test) ]]" title=[[= esc.attr(model.test) ]]>' +
+        '<script>var model = [[= esc.json(model) ]];</script>' +
+        '<style>a::after { content: "[[= esc.css(model.test) ]]"; }</style>',
+        { test: 'a "b" </script>', });
+
+      // result
+      should(result).equal(
+        '<a href="/search?q=a%20%22b%22%20%3C%2Fscript%3E" title=a&#x20;&#x22;b&#x22;&#x20;&#x3c;&#x2f;script&#x3e;>' +
+        '<script>var model = {"test":"a \\"b\\" \\u003c/script\\u003e"};</script>' +
+        '<style>a::after { content: "a\\20 \\22 b\\22 \\20 \\3c \\2f script\\3e "; }</style>');
+    });
+
+    it('should not be encoded again when auto-escaping', function () {
+      // prepare
+      var escapeEngine = engine.createEngine({ autoEscape: true, });
+
+      // run
+      var result = escapeEngine.renderString('<a title="[[= esc.attr(model.test) ]]">[[= model.test ]]</a>', { test: '<b>', });
+
+      // result
+      should(result).equal('<a title="&#x3c;b&#x3e;">&#60;b&#62;</a>');
+    });
+
+    it('should work with async templates', function () {
+      return engine.renderStringAsync('<a href="?q=[[= esc.url(await model.test) ]]">', { test: Promise.resolve('a&b'), })
+        .then(function (result) {
+          should(result).equal('<a href="?q=a%26b">');
+        });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // CSP NONCE
+  //////////////////////////////////////////////////////////////////////////////
+  describe('csp nonce', function () {
+
+    it('should expose the nonce to the layouts and partials', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': '<script nonce="[[= nonce ]]"></script>[[= layout.body ]]',
+          'partial.dot': '<style nonce="[[= nonce ]]"></style>',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\', { test: 1, }) ]]#]]',
+        },
+      });
+
+      // run
+      var result = engine.render('path/views/child.dot', { _locals: { cspNonce: 'test-nonce', }, });
+
+      // result
+      should(result).equal('<script nonce="test-nonce"></script><style nonce="test-nonce"></style>');
+    });
+
+    it('should add the nonce to the script and style tags', function () {
+      // prepare
+      var nonceEngine = engine.createEngine({ autoNonce: true, header: '<script>header</script>', });
+
+      // run
+      var result = nonceEngine.renderString(
+        '<style></style><script src="app.js"></script><script nonce="other"></script>',
+        { cspNonce: 'test-nonce', });
+
+      // result
+      should(result).equal(
+        '<script nonce="test-nonce">header</script><style nonce="test-nonce"></style>' +
+        '<script nonce="test-nonce" src="app.js"></script><script nonce="other"></script>');
+    });
+
+    it('should add the nonce to the async and streamed renders', function (done) {
+      // prepare
+      var nonceEngine = engine.createEngine({ autoNonce: true, });
+      mock({
+        'path/views': {
+          'child.dot': '<script>[[= await model.test ]]</script>',
+        },
+      });
+
+      // run
+      nonceEngine.renderAsync('path/views/child.dot', { cspNonce: 'test-nonce', test: Promise.resolve(1), })
+        .then(function (result) {
+          // result
+          should(result).equal('<script nonce="test-nonce">1</script>');
+
+          var chunks = [];
+          nonceEngine.renderStream('path/views/child.dot', { cspNonce: 'test-nonce', test: Promise.resolve(2), })
+            .on('data', function (chunk) {
+              chunks.push(chunk.toString());
+            })
+            .on('end', function () {
+              should(chunks.join('')).equal('<script nonce="test-nonce">2</script>');
+              done();
+            });
+        })
+        .catch(done);
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // ABORT
+  //////////////////////////////////////////////////////////////////////////////
+  describe('abort', function () {
+
+    function hang() {
+      return new Promise(function () {});
+    }
+
+    it('should time out naming the pending template', function (done) {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'partial.dot': 'test-partial [[= await model.hang() ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\') ]]#]]',
+        },
+      });
+
+      // run
+      engine.renderAsync('path/views/child.dot', { _render: { timeout: 20, }, hang: hang, })
+        .then(function () {
+          done(new Error('should time out'));
+        })
+        .catch(function (err) {
+          // result
+          should(err).be.instanceOf(engine.TimeoutError);
+          should(err.timeout).equal(20);
+          should(err.filename).equal(path.join('path/views', 'partial.dot'));
+          should(err.pending).eql(['path/views/child.dot', path.join('path/views', 'partial.dot')]);
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should ignore a timeout that is not a positive number', async function () {
+      // prepare
+      function wait() {
+        return new Promise((resolve) => setTimeout(() => resolve('done'), 10));
+      }
+
+      // run
+      var text = await engine.renderStringAsync('test-template [[= await model.wait() ]]', { _render: { timeout: '30 min', }, wait: wait, }),
+        negative = await engine.renderStringAsync('test-template [[= await model.wait() ]]', { _render: { timeout: -1, }, wait: wait, });
+
+      // result
+      should(text).equal('test-template done');
+      should(negative).equal('test-template done');
+    });
+
+    it('should not read the render options from the fields of the model', async function () {
+      // prepare
+      function wait() {
+        return new Promise((resolve) => setTimeout(() => resolve('done'), 30));
+      }
+
+      // run
+      var result = await engine.renderStringAsync('[[= model.timeout ]] [[= await model.wait() ]]', {
+        timeout: 15,
+        signal: AbortSignal.abort(),
+        wait: wait,
+      });
+
+      // result
+      should(result).equal('15 done');
+    });
+
+    it('should abort with the signal', function (done) {
+      // prepare
+      var controller = new AbortController();
+
+      // run
+      engine.renderStringAsync('test-template [[= await model.hang() ]]', { _render: { signal: controller.signal, }, hang: hang, })
+        .then(function () {
+          done(new Error('should abort'));
+        })
+        .catch(function (err) {
+          // result
+          should(err).be.instanceOf(engine.AbortError);
+          should(err.cause).equal('test-reason');
+          done();
+        })
+        .catch(done);
+      controller.abort('test-reason');
+    });
+
+    it('should not render with an aborted signal', function (done) {
+      // prepare
+      var rendered = false;
+
+      // run
+      engine.renderStringAsync('test-template [[ model.render() ]]', {
+        _render: { signal: AbortSignal.abort(), },
+        render: function () { rendered = true; },
+      })
+        .catch(function (err) {
+          // result
+          should(err).be.instanceOf(engine.AbortError);
+          should(rendered).be.false();
+          done();
+        })
+        .catch(done);
+    });
+
+    it('should render before the timeout', function () {
+      return engine.renderStringAsync('test-template [[= await model.test ]]', { _render: { timeout: 1000, }, test: Promise.resolve('test-model'), })
+        .then(function (result) {
+          should(result).equal('test-template test-model');
+        });
+    });
+
+  });
+
+  //////////////////////////////////////////////////////////////////////////////
+  // SANDBOX
+  //////////////////////////////////////////////////////////////////////////////
+  describe('sandbox', function () {
+
+    var sandboxEngine;
+
+    beforeEach(function () {
+      sandboxEngine = engine.createEngine({
+        sandbox: { timeout: 50, helpers: { upper: function (str) { return String(str).toUpperCase(); }, }, },
+      });
+    });
+
+    it('should render the layouts, partials and helpers', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'master.dot': 'test-master [[= layout.body ]]',
+          'partial.dot': 'test-partial [[= model.test ]]',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= upper(model.test) ]] [[= partial(\'partial.dot\') ]]#]]',
+        },
+      });
+
+      // run
+      var result = sandboxEngine.render('path/views/child.dot', { test: 'test-model', });
+
+      // result
+      should(result).equal('test-master TEST-MODEL test-partial test-model');
+    });
+
+    it('should not give access to node', function () {
+      ['[[= require(\'fs\') ]]', '[[= process.env ]]'].forEach(function (template) {
+        // run
+        var err;
+        try {
+          sandboxEngine.renderString(template, {});
+        }
+        catch (e) {
+          err = e;
+        }
+
+        // result
+        should(err).be.instanceOf(engine.TemplateError);
+        should(err.cause).be.instanceOf(engine.SandboxError);
+        should(err.cause.violation).equal('global');
+      });
+    });
+
+    it('should not give access to the engine functions', function () {
+      // run
+      var err;
+      try {
+        sandboxEngine.renderString('[[= model.constructor.constructor(\'return process\')() ]]', { test: 'test-model', });
+      }
+      catch (e) {
+        err = e;
+      }
+
+      // result
+      should(err).be.instanceOf(engine.TemplateError);
+      should(err.message).containEql('Code generation from strings disallowed');
+    });
+
+    it('should not let a template change the next renders', function () {
+      // prepare
+      var hijack = 'function () { return { value: \'hijacked\' }; }',
+        helperEngine = engine.createEngine({
+          sandbox: { helpers: { text: { upper: function (str) { return String(str).toUpperCase(); }, }, }, },
+        });
+
+      // run
+      helperEngine.renderString('[[ __dotRun = ' + hijack + '; String = ' + hijack + '; ' +
+        'text.upper = ' + hijack + '; ]]', {});
+      var result = helperEngine.renderString('hello [[= text.upper(model.name) ]]', { name: 'bob', secret: 'secret', });
+
+      // result
+      should(result).equal('hello BOB');
+    });
+
+    it('should stop the templates exceeding the limits', function () {
+      // run
+      var errors = ['[[ while (true) {} ]]', '[[= \'x\'.repeat(2000000) ]]'].map(function (template) {
+        try {
+          sandboxEngine.renderString(template, {});
+        }
+        catch (e) {
+          return e;
+        }
+      });
+
+      // result
+      should(errors[0].cause.violation).equal('timeout');
+      should(errors[1].cause.violation).equal('output');
+    });
+
+    it('should reject the compile-time tags', function () {
+      // run
+      var err;
+      try {
+        sandboxEngine.renderString('[[# def.test = 1 ]]', {});
+      }
+      catch (e) {
+        err = e;
+      }
+
+      // result
+      should(err.phase).equal('build');
+      should(err.cause.violation).equal('compile-time');
+    });
+
+    it('should keep the location of a failing partial', function () {
+      // prepare
+      mock({
+        'path/views': {
+          'partial.dot': 'test-partial\n[[= model.missing.test ]]',
+          'child.dot': 'test-child [[= partial(\'partial.dot\') ]]',
+        },
+      });
+
+      // run
+      var err;
+      try {
+        sandboxEngine.render('path/views/child.dot', {});
+      }
+      catch (e) {
+        err = e;
+      }
+
+      // result
+      should(err).be.instanceOf(engine.TemplateError);
+      should(err.filename).equal(path.join('path/views', 'partial.dot'));
+      should(err.line).equal(2);
+      should(err.templates).have.length(2);
+    });
+
+    it('should print the trusted HTML as is when auto-escaping', function () {
+      // prepare
+      var safeEngine = engine.createEngine({ autoEscape: true, sandbox: {}, });
+      mock({
+        'path/views': {
+          'master.dot': '<main>[[= layout.body ]]</main>',
+          'partial.dot': '<i>[[= model.name ]]</i>',
+          'child.dot': '---\nlayout: master.dot\n---\n[[##body:[[= partial(\'partial.dot\') ]][[= raw(\'<b>\') ]]' +
+            '[[= esc.attr(model.name) ]][[= model.name ]]#]]',
+        },
+      });
+
+      // run
+      var result = safeEngine.render('path/views/child.dot', { name: '<u>', });
+
+      // result
+      should(result).equal('<main><i>&#60;u&#62;</i><b>&#x3c;u&#x3e;&#60;u&#62;</main>');
     });
 
   });
 
+  //////////////////////////////////////////////////////////////////////////////
+  // ENGINE INSTANCES
+  //////////////////////////////////////////////////////////////////////////////
+  describe('createEngine', function () {
+
+    it('should not share settings', function () {
+      // prepare
+      var emailEngine = engine.createEngine({ header: '<!-- email -->', });
+
+      // run
+      var email = emailEngine.renderString('test-template [[= model.test ]]', { test: 'test-model', });
+      var view = engine.renderString('test-template [[= model.test ]]', { test: 'test-model', });
+
+      // result
+      should(email).equal('<!-- email -->test-template test-model');
+      should(view).equal('test-template test-model');
+      should(engine.settings.header).equal('');
+    });
+
+    it('should merge the doT settings with the defaults', function () {
+      // prepare
+      var curlyEngine = engine.createEngine({
+        dot: { interpolate: /\{\{=([\s\S]+?)\}\}/g, },
+      });
+
+      // run
+      var result = curlyEngine.renderString('{{= model.test }} [[ if (true) { ]]ok[[ } ]]', { test: 'test-model', });
+
+      // result
+      should(result).equal('test-model ok');
+    });
+
+    it('should not share helpers', function () {
+      // prepare
+      var first = engine.createEngine(),
+        second = engine.createEngine();
+      first.helper.greeting = 'hello';
+
+      // run
+      var result = first.renderString('[[# def.greeting ]]', {});
 
+      // result
+      should(result).equal('hello');
+      should(second.helper).not.have.property('greeting');
+      should(engine.helper).not.have.property('greeting');
+    });
+
+    it('should not share caches', function () {
+      // prepare
+      var first = engine.createEngine(),
+        second = engine.createEngine();
+      mock({
+        'path/views': {
+          'child.dot': 'test-child [[= model.test ]]',
+        },
+      });
+
+      // run
+      first.render('path/views/child.dot', { cache: true, test: 'test-model', });
+
+      // result
+      should(first.cache.get('path/views/child.dot')).be.ok();
+      should(second.cache.get('path/views/child.dot')).not.be.ok();
+    });
+
+  });
 
   //////////////////////////////////////////////////////////////////////////////
   // TEMPLATE WITH ASYNC/AWAIT